@@ -0,0 +1,67 @@
+// Compares country lookup by a plain scan over every feature with the grid
+// index in src/utils/spatialIndex.js, for random points around the globe.
+//
+//   npm run bench:lookup -- [path/to/countries.geo.json] [points]
+
+import { readFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import * as turf from '@turf/turf';
+import { createSpatialIndex } from '../src/utils/spatialIndex.js';
+
+const file = process.argv[2] || new URL('../src/components/data/countries.geo.json', import.meta.url);
+const count = Number(process.argv[3]) || 5000;
+const { features } = JSON.parse(readFileSync(file, 'utf8'));
+
+// Seeded generator so runs are comparable
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const random = mulberry32(42);
+// Uniform on the sphere, so polar cells are not oversampled
+const points = Array.from({ length: count }, () => [
+  (Math.asin(2 * random() - 1) * 180) / Math.PI,
+  random() * 360 - 180,
+]);
+
+function scan(lat, lng) {
+  const pt = turf.point([lng, lat]);
+  for (const feature of features) {
+    if (
+      feature.geometry &&
+      (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') &&
+      turf.booleanPointInPolygon(pt, feature)
+    ) {
+      return feature;
+    }
+  }
+  return null;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+const build = time(() => createSpatialIndex(features));
+const index = build.result;
+const scanned = time(() => points.map(([lat, lng]) => scan(lat, lng)));
+const indexed = time(() => points.map(([lat, lng]) => index.find(lat, lng)));
+const mismatches = points.filter((_, i) => scanned.result[i] !== indexed.result[i]).length;
+const hits = indexed.result.filter(Boolean).length;
+
+const perPoint = ms => `${((ms * 1000) / count).toFixed(1)} µs/point`;
+console.log(`${features.length} features, ${index.cellCount} grid cells, ${count} points (${hits} on land)`);
+console.log(`index build: ${build.ms.toFixed(1)} ms`);
+console.log(`plain scan:  ${scanned.ms.toFixed(1)} ms (${perPoint(scanned.ms)})`);
+console.log(`grid index:  ${indexed.ms.toFixed(1)} ms (${perPoint(indexed.ms)}), ${(scanned.ms / indexed.ms).toFixed(1)}x faster`);
+if (mismatches > 0) {
+  console.error(`${mismatches} points resolved differently`);
+  process.exitCode = 1;
+}
@@ -1,9 +1,42 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import MapLocationPicker from './components/MapLocationPicker';
+import SavedPlansPanel from './components/SavedPlansPanel';
+import RecurrencePanel from './components/RecurrencePanel';
+import FairnessPanel from './components/FairnessPanel';
+import AvailabilityHeatmap, { heatColor } from './components/AvailabilityHeatmap';
+import TimelineRibbon from './components/TimelineRibbon';
+import TimeOffEditor from './components/TimeOffEditor';
+import BusyCalendarImport from './components/BusyCalendarImport';
+import RosterPanel from './components/RosterPanel';
+import TimezoneSelect from './components/TimezoneSelect';
 import { Calendar, momentLocalizer } from 'react-big-calendar';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 import moment from 'moment-timezone';
-import ct from 'countries-and-timezones';
+import { buildMeetingICS, downloadICS } from './utils/ics';
+import { encodePlan, decodePlan } from './utils/planUrl';
+import {
+  SLOT_STEPS,
+  MEETING_DURATION,
+  clampDuration,
+  getParticipantTimezone,
+  getSlotAttendance,
+  getCommonAwakeSlots,
+  isBusyDuring,
+  getDaySlots,
+  getSlotInstant,
+  formatSlot,
+} from './utils/availability';
+import { suggestSlots } from './utils/suggestions';
+import { createParticipantId, getParticipantLabel, isRequired } from './utils/participants';
+import { loadSaved, persistSaved } from './utils/savedPlans';
+import { DEFAULT_RECURRENCE, expandOccurrences, analyzeSeries } from './utils/recurrence';
+import { proposeRotation, tallyInconvenience } from './utils/fairness';
+import { defaultHolidayProvider } from './utils/holidayProvider';
+import { getParticipantHolidays, getHolidaySubdivisions } from './utils/holidays';
+import { WEEKDAY_LABELS, getCountryWeekend, getParticipantWeekend } from './utils/workWeek';
+import { isCommonWeekend, isCommonHoliday, isCommonWorkday } from './utils/dayClassification';
+import { getTimeOff } from './utils/timeOff';
+import { moveParticipant } from './utils/locations';
 
 const steps = [
   'Pick locations',
@@ -14,14 +47,6 @@ const steps = [
 
 const localizer = momentLocalizer(moment);
 
-// Example: hardcoded holidays for demonstration
-const demoHolidays = [
-  // Format: 'YYYY-MM-DD'
-  '2024-07-04', // US Independence Day
-  '2024-10-01', // China National Day
-  '2024-12-25', // Christmas
-];
-
 const countryColors = [
   '#f87171', // red
   '#60a5fa', // blue
@@ -34,29 +59,6 @@ const countryColors = [
   '#facc15', // gold
 ];
 
-// 获取代表性IANA时区名
-function getTimezoneByCountryCode(countryCode) {
-  const country = ct.getCountry((countryCode || '').toUpperCase());
-  if (country && country.timezones && country.timezones.length > 0) {
-    return country.timezones[0]; // 多时区国家取第一个
-  }
-  return 'UTC';
-}
-
-function isWeekend(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6;
-}
-
-function isHoliday(date) {
-  const d = moment(date).format('YYYY-MM-DD');
-  return demoHolidays.includes(d);
-}
-
-function isWorkday(date) {
-  return !isWeekend(date) && !isHoliday(date);
-}
-
 // 计算当前视图涉及的所有年份
 function getYearsInRange(start, end) {
   const years = new Set();
@@ -69,36 +71,146 @@ function getYearsInRange(start, end) {
   return years;
 }
 
-export default function App() {
-  const [selectedParticipants, setSelectedParticipants] = useState([]);
-  const [currentStep, setCurrentStep] = useState(0); // Initial step is 0, start with location selection
-  const [filterType, setFilterType] = useState('workday');
+export default function App({ holidayProvider = defaultHolidayProvider }) {
+  // Plan restored from a shared link, read once on first render
+  const [initialPlan] = useState(() => decodePlan(window.location.hash));
+  const [selectedParticipants, setSelectedParticipants] = useState(initialPlan ? initialPlan.participants : []);
+  // Initial step is 0, start with location selection; steps 2/3 are the time filter and result overlays
+  const [currentStep, setCurrentStep] = useState(initialPlan && initialPlan.participants.length > 0 ? Math.min(initialPlan.step, 1) : 0);
+  const [filterType, setFilterType] = useState(initialPlan ? initialPlan.filterType : 'workday');
   const [holidaysByCountry, setHolidaysByCountry] = useState({});
   const [loadingHolidays, setLoadingHolidays] = useState(false);
-  const [calendarTz, setCalendarTz] = useState('UTC');
+  const [holidayErrors, setHolidayErrors] = useState([]); // [{ code, year, message }] for failed holiday fetches
+  const [holidayRetry, setHolidayRetry] = useState(0); // Bumped to refetch failed holidays
+  const [calendarTz, setCalendarTz] = useState(initialPlan ? initialPlan.calendarTz : 'UTC');
   const [calendarRange, setCalendarRange] = useState({ start: null, end: null });
   const [calendarView, setCalendarView] = useState('month');
   const holidaysCache = useRef({}); // { code: { year: holidays[] } }
   // Record last fetch key to avoid infinite loop
   const lastFetchKey = useRef('');
-  const [selectedDate, setSelectedDate] = useState(null); // User selected date
-  const [awakeStart, setAwakeStart] = useState(8); // Default awake start hour
-  const [awakeEnd, setAwakeEnd] = useState(22); // Default awake end hour
-  const [showTimeFilter, setShowTimeFilter] = useState(false);
-  const [selectedHour, setSelectedHour] = useState(null); // User selected hour
-  const [showResult, setShowResult] = useState(false); // Show result page or not
+  const [selectedDate, setSelectedDate] = useState(initialPlan ? initialPlan.selectedDate : null); // User selected date
+  const [awakeStart, setAwakeStart] = useState(initialPlan ? initialPlan.awakeStart : 8); // Default awake start hour
+  const [awakeEnd, setAwakeEnd] = useState(initialPlan ? initialPlan.awakeEnd : 22); // Default awake end hour
+  const [showTimeFilter, setShowTimeFilter] = useState(
+    Boolean(initialPlan && initialPlan.step === 2 && initialPlan.selectedDate && initialPlan.participants.length > 0)
+  );
+  const [slotStep, setSlotStep] = useState(initialPlan ? initialPlan.slotStep : 60); // Slot granularity in minutes
+  const [meetingDuration, setMeetingDuration] = useState(initialPlan ? initialPlan.meetingDuration : 60); // Meeting length in minutes
+  const [selectedSlot, setSelectedSlot] = useState(initialPlan ? initialPlan.selectedSlot : null); // User selected slot, minutes past midnight in calendarTz
+  const [recurrence, setRecurrence] = useState(initialPlan ? initialPlan.recurrence : DEFAULT_RECURRENCE); // Repeat settings for the chosen slot
+  const [fairnessMode, setFairnessMode] = useState(false); // Rotate the slot across a series to share inconvenience
+  const [showResult, setShowResult] = useState(
+    Boolean(initialPlan && initialPlan.step === 3 && initialPlan.selectedDate && initialPlan.selectedSlot !== null && initialPlan.participants.length > 0)
+  ); // Show result page or not
+  const [showSuggestions, setShowSuggestions] = useState(false); // Show ranked slot suggestions
+  const [suggestionLimit, setSuggestionLimit] = useState(5); // Number of suggestions to list
+  const [meetingTitle, setMeetingTitle] = useState('Meeting'); // Title used for calendar export
+  const [orgHolidays, setOrgHolidays] = useState(initialPlan ? initialPlan.orgHolidays : []); // Company-wide blocked dates, apply to everyone
+  const [showOrgHolidays, setShowOrgHolidays] = useState(false);
+  const [hoveredParticipantId, setHoveredParticipantId] = useState(null); // Panel entry under the pointer, highlighted on the map
 
   // Get all selected country ISO2 codes and timezones
   const countryCodes = Array.from(new Set(selectedParticipants.map(p => p.iso2).filter(Boolean)));
-  const timezones = Array.from(new Set(selectedParticipants.map(p => p.timezone.split(' ')[0]).filter(Boolean)));
+  const timezones = Array.from(new Set(selectedParticipants.map(p => getParticipantTimezone(p)).filter(Boolean)));
 
-  // Set default timezone to the first participant's timezone
+  // Set default timezone to the first participant's timezone, until a zone is
+  // picked explicitly (or restored from a link), which then stays as chosen
+  const calendarTzChosen = useRef(Boolean(initialPlan));
   useEffect(() => {
-    if (timezones.length > 0 && !timezones.includes(calendarTz)) {
+    if (!calendarTzChosen.current && timezones.length > 0 && !timezones.includes(calendarTz)) {
       setCalendarTz(timezones[0]);
     }
   }, [timezones]);
 
+  function handleChangeCalendarTz(tz) {
+    calendarTzChosen.current = true;
+    setCalendarTz(tz);
+  }
+
+  // Keep the URL hash in sync with the plan so it survives reloads and can be shared
+  const wizardStep = showResult ? 3 : showTimeFilter ? 2 : currentStep;
+  const planHash = encodePlan({
+    participants: selectedParticipants,
+    calendarTz,
+    filterType,
+    awakeStart,
+    awakeEnd,
+    selectedDate,
+    slotStep,
+    meetingDuration,
+    selectedSlot,
+    recurrence,
+    orgHolidays,
+    step: wizardStep,
+  });
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${planHash}`);
+  }, [planHash]);
+
+  // Saved groups and plans, persisted in localStorage
+  const [saved, setSaved] = useState(() => loadSaved());
+  const [showSaved, setShowSaved] = useState(false);
+  useEffect(() => {
+    persistSaved(saved);
+  }, [saved]);
+
+  // Replace the whole planner state with a decoded plan
+  function applyPlan(plan) {
+    setSelectedParticipants(plan.participants);
+    setFilterType(plan.filterType);
+    calendarTzChosen.current = true;
+    setCalendarTz(plan.calendarTz);
+    setAwakeStart(plan.awakeStart);
+    setAwakeEnd(plan.awakeEnd);
+    setSlotStep(plan.slotStep);
+    setMeetingDuration(plan.meetingDuration);
+    setSelectedDate(plan.selectedDate);
+    setSelectedSlot(plan.selectedSlot);
+    setRecurrence(plan.recurrence);
+    setOrgHolidays(plan.orgHolidays);
+    const hasParticipants = plan.participants.length > 0;
+    setCurrentStep(hasParticipants ? Math.min(plan.step, 1) : 0);
+    setShowTimeFilter(hasParticipants && plan.step === 2 && Boolean(plan.selectedDate));
+    setShowResult(hasParticipants && plan.step === 3 && Boolean(plan.selectedDate) && plan.selectedSlot !== null);
+  }
+
+  function handleLoadPlan(hash) {
+    const plan = decodePlan(hash);
+    if (plan) applyPlan(plan);
+    setShowSaved(false);
+  }
+
+  // Load a saved group, replacing or extending the current participants
+  function handleLoadParticipants(participants, append) {
+    setSelectedParticipants(append ? [...selectedParticipants, ...participants] : participants);
+    setShowSaved(false);
+  }
+
+  // Bulk import/export of participants as CSV or JSON
+  const [showRoster, setShowRoster] = useState(false);
+  function handleImportRoster(participants, append) {
+    setSelectedParticipants(append ? [...selectedParticipants, ...participants] : participants);
+    setShowRoster(false);
+  }
+
+  const [linkStatus, setLinkStatus] = useState(null); // null | 'copied' | 'failed'
+  function handleCopyLink() {
+    const url = window.location.href;
+    const showStatus = status => {
+      setLinkStatus(status);
+      setTimeout(() => setLinkStatus(null), 2000);
+    };
+    // The clipboard API only exists on secure origins and may be denied;
+    // then offer the link in a prompt, already selected for copying
+    const copy = navigator.clipboard && navigator.clipboard.writeText
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error('Clipboard unavailable'));
+    copy.then(() => showStatus('copied'), () => {
+      showStatus('failed');
+      window.prompt('Copy this link:', url);
+    });
+  }
+
   // Fetch holidays
   useEffect(() => {
     if (!calendarRange.start || !calendarRange.end || countryCodes.length === 0) return;
@@ -108,20 +220,22 @@ export default function App() {
     lastFetchKey.current = fetchKey;
     setLoadingHolidays(true);
     const fetchTasks = [];
+    const errors = [];
     countryCodes.forEach(code => {
       if (!holidaysCache.current[code]) holidaysCache.current[code] = {};
       years.forEach(year => {
         if (!holidaysCache.current[code][year]) {
           fetchTasks.push(
-            fetch(`https://date.nager.at/api/v3/PublicHolidays/${year}/${code}`)
-              .then(res => res.ok ? res.json() : [])
+            holidayProvider.fetchHolidays(year, code)
               .then(data => { holidaysCache.current[code][year] = data; })
-              .catch(() => { holidaysCache.current[code][year] = []; })
+              // Failures stay uncached so a retry fetches them again
+              .catch(err => { errors.push({ code, year, message: err.message || String(err) }); })
           );
         }
       });
     });
     Promise.all(fetchTasks).then(() => {
+      setHolidayErrors(errors);
       // Merge all holidays for all countries and years
       const byCountry = {};
       countryCodes.forEach(code => {
@@ -135,7 +249,12 @@ export default function App() {
       setHolidaysByCountry(byCountry);
       setLoadingHolidays(false);
     });
-  }, [calendarRange.start, calendarRange.end, countryCodes.join(',')]);
+  }, [calendarRange.start, calendarRange.end, countryCodes.join(','), holidayRetry]);
+
+  function handleRetryHolidays() {
+    lastFetchKey.current = '';
+    setHolidayRetry(holidayRetry + 1);
+  }
 
   // 监听日历视图和范围变化
   const handleRangeChange = useCallback((range, view) => {
@@ -161,23 +280,25 @@ export default function App() {
     }
   }
 
-  // 判断某天是否所有国家都放假/都上班/都周末
+  // A participant is off on a local date for a public holiday, their own time off or an organisation holiday
+  function isParticipantOff(p, dstr) {
+    return getParticipantHolidays(holidaysByCountry, p).some(h => h.date === dstr) || Boolean(getTimeOff(p, dstr, orgHolidays));
+  }
+
+  // 判断某天是否所有国家都放假/都上班/都周末（周末按各参与者所在国家/个人设置的工作周）
+  // Each participant is judged on their own local date during the calendarTz day
   function isWeekend(date) {
-    const day = date.getDay();
-    return day === 0 || day === 6;
+    return isCommonWeekend(date, calendarTz, selectedParticipants);
   }
   function isHoliday(date) {
-    const dstr = date.toISOString().slice(0, 10);
-    return countryCodes.every(code =>
-      (holidaysByCountry[code] || []).some(h => h.date === dstr)
-    );
+    return isCommonHoliday(date, calendarTz, selectedParticipants, isParticipantOff);
   }
   function isWorkday(date) {
-    return countryCodes.every(code => {
-      const dstr = date.toISOString().slice(0, 10);
-      const isHol = (holidaysByCountry[code] || []).some(h => h.date === dstr);
-      return !isHol && !isWeekend(date);
-    });
+    return isCommonWorkday(date, calendarTz, selectedParticipants, isParticipantOff);
+  }
+  // Only public holidays (and time off) count for the "All: Holiday" highlight
+  function isPublicHolidayOff(p, dstr) {
+    return getParticipantHolidays(holidaysByCountry, p).some(h => h.date === dstr && h.type === 'Public') || Boolean(getTimeOff(p, dstr, orgHolidays));
   }
 
   // 过滤结果
@@ -190,14 +311,23 @@ export default function App() {
 
   // 日历 events：1. 各国节假日分别标注 2. 过滤结果高亮
   let events = [];
-  // 1. 各国节假日
-  countryCodes.forEach((code, idx) => {
-    (holidaysByCountry[code] || []).forEach(h => {
+  // 1. 各国节假日：按参与者所在地区（国家 + 行政区 + 时区）分组，同组只渲染一次
+  const holidayGroups = new Map();
+  selectedParticipants.forEach(p => {
+    if (!p.iso2) return;
+    const key = `${p.iso2}|${p.subdivision || ''}|${getParticipantTimezone(p)}`;
+    if (!holidayGroups.has(key)) holidayGroups.set(key, p);
+  });
+  holidayGroups.forEach(p => {
+    const code = p.iso2;
+    const idx = countryCodes.indexOf(code);
+    const label = p.subdivision ? `${code} (${p.subdivision})` : code;
+    getParticipantHolidays(holidaysByCountry, p).forEach(h => {
       // 只渲染 type 为 'Public' 的节假日为"全体放假"，其他类型用不同颜色
       const isPublic = h.type === 'Public';
       // 节假日本地日期转为当前日历时区的区间
-      // nager.at 的 date 是 'YYYY-MM-DD'，本地时区为 h.countryCode（不是 countyCode）
-      const localStart = moment.tz(h.date, 'YYYY-MM-DD', getTimezoneByCountryCode(h.countryCode || code));
+      // nager.at 的 date 是 'YYYY-MM-DD'，按参与者自己的时区解释（多时区国家不再取第一个时区）
+      const localStart = moment.tz(h.date, 'YYYY-MM-DD', getParticipantTimezone(p));
       const localEnd = localStart.clone().add(1, 'day');
       // 转为当前日历时区
       const start = localStart.clone().tz(calendarTz).toDate();
@@ -205,7 +335,7 @@ export default function App() {
       // 判断是否在当前视图范围
       if (calendarRange.start && calendarRange.end && end > calendarRange.start && start < calendarRange.end) {
         events.push({
-          title: `${code}: ${h.localName}`,
+          title: `${label}: ${h.localName}`,
           start,
           end,
           allDay: true,
@@ -221,16 +351,28 @@ export default function App() {
       }
     });
   });
+  // 1b. 个人休假与公司假日：个人按参与者时区，公司假日按当前日历时区
+  function pushBlockEvent(block, tz, title, type, color) {
+    const start = moment.tz(block.start, 'YYYY-MM-DD', tz);
+    const end = moment.tz(block.end, 'YYYY-MM-DD', tz).add(1, 'day');
+    if (calendarRange.start && calendarRange.end && end.toDate() > calendarRange.start && start.toDate() < calendarRange.end) {
+      events.push({
+        title,
+        start: start.clone().tz(calendarTz).toDate(),
+        end: end.clone().tz(calendarTz).toDate(),
+        allDay: true,
+        resource: { type, color, label: block.label },
+      });
+    }
+  }
+  selectedParticipants.forEach(p => {
+    (p.timeOff || []).forEach(b => pushBlockEvent(b, getParticipantTimezone(p), `${getParticipantLabel(p)}: ${b.label || 'Time off'}`, 'timeOff', '#a78bfa'));
+  });
+  orgHolidays.forEach(b => pushBlockEvent(b, calendarTz, `Org: ${b.label || 'Holiday'}`, 'orgHoliday', '#0ea5e9'));
   // 2. 过滤结果高亮
   filteredDates.forEach(d => {
     // 只在所有国家都为 type==='Public' 的节假日时才高亮"放假"
-    let isAllPublicHoliday = false;
-    if (filterType === 'holiday') {
-      isAllPublicHoliday = countryCodes.every(code => {
-        const dstr = moment(d).format('YYYY-MM-DD');
-        return (holidaysByCountry[code] || []).some(h => h.date === dstr && h.type === 'Public');
-      });
-    }
+    const isAllPublicHoliday = filterType === 'holiday' && isCommonHoliday(d, calendarTz, selectedParticipants, isPublicHolidayOff);
     if (
       (filterType === 'holiday' && isAllPublicHoliday) ||
       (filterType === 'weekend' && isWeekend(d)) ||
@@ -246,20 +388,59 @@ export default function App() {
     }
   });
 
+  // Every click adds an attendee, so several people can share one location
   const handleAddParticipant = (participant) => {
-    if (!selectedParticipants.some(p => p.id === participant.id)) {
-      setSelectedParticipants([...selectedParticipants, participant]);
-    }
+    setSelectedParticipants([...selectedParticipants, participant]);
+  };
+
+  // Add another attendee at an existing participant's location
+  const handleAddPersonAt = (id) => {
+    const source = selectedParticipants.find(p => p.id === id);
+    const copy = { ...source, id: createParticipantId(), person: '', role: '', required: true, timeOff: [], busy: null, busySource: null };
+    const idx = selectedParticipants.indexOf(source);
+    setSelectedParticipants([...selectedParticipants.slice(0, idx + 1), copy, ...selectedParticipants.slice(idx + 1)]);
+  };
+
+  // A dragged marker keeps its attendee; only the place and zone are looked up again
+  const handleMoveParticipant = (id, lat, lng) => {
+    setSelectedParticipants(selectedParticipants.map(p => (p.id === id ? moveParticipant(p, lat, lng) : p)));
+  };
+
+  // Edit attendee details (person, role, required)
+  const handleUpdateParticipant = (id, changes) => {
+    setSelectedParticipants(selectedParticipants.map(p => (p.id === id ? { ...p, ...changes } : p)));
   };
 
   const handleRemoveParticipant = (id) => {
     setSelectedParticipants(selectedParticipants.filter(p => p.id !== id));
   };
 
-  // Initially set calendarRange to the current month
+  // Toggle a day in a participant's weekend; matching the country default clears the override
+  const handleToggleWeekendDay = (id, day) => {
+    setSelectedParticipants(selectedParticipants.map(p => {
+      if (p.id !== id) return p;
+      const current = getParticipantWeekend(p);
+      const next = current.includes(day) ? current.filter(d => d !== day) : [...current, day];
+      const countryDefault = getCountryWeekend(p.iso2);
+      const isDefault = next.length === countryDefault.length && next.every(d => countryDefault.includes(d));
+      return { ...p, weekendDays: isDefault ? null : next };
+    }));
+  };
+
+  // Set or clear (subdivision = null) the ISO 3166-2 region used for regional holidays
+  const handleChangeSubdivision = (id, subdivision) => {
+    setSelectedParticipants(selectedParticipants.map(p => (p.id === id ? { ...p, subdivision } : p)));
+  };
+
+  // Set or clear (availability = null) a participant's own awake window
+  const handleChangeAvailability = (id, availability) => {
+    setSelectedParticipants(selectedParticipants.map(p => (p.id === id ? { ...p, availability } : p)));
+  };
+
+  // Initially set calendarRange to the current month (or the month of a restored date)
   useEffect(() => {
     if (!calendarRange.start || !calendarRange.end) {
-      const today = new Date();
+      const today = selectedDate || new Date();
       const year = today.getFullYear();
       const month = today.getMonth();
       const startOfMonth = new Date(year, month, 1);
@@ -268,19 +449,108 @@ export default function App() {
     }
   }, [calendarRange.start, calendarRange.end]);
 
-  // Calculate all hours in a day when all participants are awake (in the current calendar timezone)
-  function getCommonAwakeHours(date, tz = calendarTz) {
-    const hours = [];
-    for (let h = 0; h < 24; h++) {
-      const dt = moment(date).tz(tz).hour(h).minute(0).second(0);
-      const allAwake = selectedParticipants.every(p => {
-        const local = dt.clone().tz(p.timezone.split(' ')[0]);
-        const hour = local.hour();
-        return hour >= awakeStart && hour < awakeEnd;
-      });
-      if (allAwake) hours.push(h);
-    }
-    return hours;
+  // Global awake window, used for participants without their own
+  const defaultAvailability = { start: awakeStart, end: awakeEnd };
+  const commonAwakeSlots = selectedDate
+    ? getCommonAwakeSlots(selectedDate, calendarTz, selectedParticipants, defaultAvailability, slotStep, meetingDuration)
+    : [];
+
+  // Week/day view slots are shaded by how many participants can attend. The
+  // slot's wall-clock time is read as calendarTz, like the rest of the planner.
+  function slotPropGetter(date) {
+    if (calendarView === 'month' || selectedParticipants.length === 0) return {};
+    const instant = getSlotInstant(date, date.getHours() * 60 + date.getMinutes(), calendarTz);
+    const attendance = getSlotAttendance(instant, selectedParticipants, defaultAvailability, meetingDuration);
+    const count = attendance.available.length;
+    const unavailable = selectedParticipants.filter(p => !attendance.available.includes(p));
+    return {
+      className: 'planner-heat-slot',
+      style: { backgroundColor: heatColor(count, selectedParticipants.length) },
+      title: `${count} of ${selectedParticipants.length} available${unavailable.length > 0 ? ` – unavailable: ${unavailable.map(getParticipantLabel).join(', ')}` : ''}`,
+    };
+  }
+
+  // Changing the step drops a selection that no longer lies on the slot grid
+  function handleChangeSlotStep(step) {
+    setSlotStep(step);
+    if (selectedSlot !== null && selectedSlot % step !== 0) setSelectedSlot(null);
+  }
+
+  // Best slots across the visible date range, only computed while the list is open
+  const suggestions = showSuggestions
+    ? suggestSlots({
+      dates: filteredDates,
+      tz: calendarTz,
+      participants: selectedParticipants,
+      defaults: defaultAvailability,
+      step: slotStep,
+      durationMinutes: meetingDuration,
+      isHoliday: isParticipantOff,
+      limit: suggestionLimit,
+    })
+    : [];
+
+  // Jump straight to the result page for a suggested slot
+  function handlePickSuggestion(suggestion) {
+    setSelectedDate(suggestion.date);
+    setSelectedSlot(suggestion.slot);
+    setShowSuggestions(false);
+    setShowResult(true);
+  }
+
+  // Every occurrence of the chosen slot's series with each participant's local time and flags
+  const series = showResult && selectedDate && selectedSlot !== null
+    ? analyzeSeries({
+      occurrences: expandOccurrences(getSlotInstant(selectedDate, selectedSlot, calendarTz), calendarTz, recurrence),
+      participants: selectedParticipants,
+      defaults: defaultAvailability,
+      durationMinutes: meetingDuration,
+      isHoliday: isParticipantOff,
+    })
+    : [];
+
+  // Fairness: rotate slots across the series, or tally the fixed slot's inconvenience.
+  // Memoised so unrelated state changes (hovering, editing names) do not redo the rotation.
+  const fairness = useMemo(() => (series.length > 0 && fairnessMode && recurrence.frequency !== 'none'
+    ? proposeRotation({
+      occurrences: series.map(o => o.instant),
+      tz: calendarTz,
+      participants: selectedParticipants,
+      defaults: defaultAvailability,
+      step: slotStep,
+      durationMinutes: meetingDuration,
+      isHoliday: isParticipantOff,
+    })
+    : null
+  ), [showResult, fairnessMode, selectedDate, selectedSlot, calendarTz, recurrence, selectedParticipants, awakeStart, awakeEnd, slotStep, meetingDuration, holidaysByCountry, orgHolidays]);
+  const inconvenienceTally = fairness
+    ? fairness.tally
+    : tallyInconvenience(series.map(o => o.instant), selectedParticipants);
+  // With a rotation the series that will actually be held is the rotated one
+  const heldSeries = fairness
+    ? analyzeSeries({
+      occurrences: fairness.rotation.map(r => r.instant),
+      participants: selectedParticipants,
+      defaults: defaultAvailability,
+      durationMinutes: meetingDuration,
+      isHoliday: isParticipantOff,
+    })
+    : series;
+
+  // Export the confirmed meeting as an .ics file
+  function handleExportICS() {
+    const start = getSlotInstant(selectedDate, selectedSlot, calendarTz);
+    const ics = buildMeetingICS({
+      title: meetingTitle,
+      start,
+      tz: calendarTz,
+      durationMinutes: meetingDuration,
+      participants: selectedParticipants,
+      recurrence,
+      starts: fairness ? fairness.rotation.map(r => r.instant) : null,
+    });
+    const safeName = (meetingTitle || 'meeting').replace(/[^\w-]+/g, '_');
+    downloadICS(ics, `${safeName}-${start.format('YYYYMMDD-HHmm')}.ics`);
   }
 
   // Calendar event click handler
@@ -296,7 +566,18 @@ export default function App() {
       {/* Header */}
       <header className="flex items-center justify-between px-6 py-4 bg-white shadow-md z-10">
         <h1 className="text-2xl font-bold tracking-tight text-blue-700">Cross Timezone Meeting Planner</h1>
-        <button className="px-4 py-2 rounded bg-red-100 text-red-700 font-semibold hover:bg-red-200 transition" onClick={() => setSelectedParticipants([])}>Reset</button>
+        <div className="flex items-center space-x-2">
+          <button className="px-4 py-2 rounded bg-blue-100 text-blue-700 font-semibold hover:bg-blue-200 transition" onClick={() => setShowSaved(true)}>
+            Saved
+          </button>
+          <button className="px-4 py-2 rounded bg-blue-100 text-blue-700 font-semibold hover:bg-blue-200 transition" onClick={() => setShowRoster(true)}>
+            Roster
+          </button>
+          <button className="px-4 py-2 rounded bg-blue-100 text-blue-700 font-semibold hover:bg-blue-200 transition" onClick={handleCopyLink}>
+            {linkStatus === 'copied' ? 'Link copied!' : linkStatus === 'failed' ? 'Copy failed' : 'Copy link'}
+          </button>
+          <button className="px-4 py-2 rounded bg-red-100 text-red-700 font-semibold hover:bg-red-200 transition" onClick={() => setSelectedParticipants([])}>Reset</button>
+        </div>
       </header>
 
       {/* Step Tracker */}
@@ -323,23 +604,28 @@ export default function App() {
       <main className="flex-1 flex items-center justify-center relative">
         <div className="w-full h-[80vh] flex items-center justify-center">
           {currentStep === 0 && (
-            <MapLocationPicker onAddParticipant={handleAddParticipant} selectedParticipants={selectedParticipants} />
+            <MapLocationPicker
+              onAddParticipant={handleAddParticipant}
+              onMoveParticipant={handleMoveParticipant}
+              onUpdateParticipant={handleUpdateParticipant}
+              onRemoveParticipant={handleRemoveParticipant}
+              selectedParticipants={selectedParticipants}
+              highlightedId={hoveredParticipantId}
+              countryColorByIso={Object.fromEntries(countryCodes.map((code, idx) => [code, countryColors[idx % countryColors.length]]))}
+              meetingInstant={selectedDate && selectedSlot !== null ? getSlotInstant(selectedDate, selectedSlot, calendarTz).valueOf() : null}
+            />
           )}
           {currentStep === 1 && (
             <div className="w-full h-full flex flex-col items-center justify-center">
               <h2 className="text-xl font-bold text-blue-700 mb-4">Calendar & Time</h2>
               <div className="mb-4 flex space-x-2 items-center">
                 <span className="font-semibold">Current Timezone:</span>
-                <select
+                <TimezoneSelect
                   className="px-2 py-1 rounded border border-blue-200 bg-white text-blue-700 font-semibold"
                   value={calendarTz}
-                  onChange={e => setCalendarTz(e.target.value)}
-                >
-                  {timezones.map(tz => (
-                    <option key={tz} value={tz}>{tz}</option>
-                  ))}
-                  {!timezones.includes('UTC') && <option value="UTC">UTC</option>}
-                </select>
+                  onChange={handleChangeCalendarTz}
+                  participantZones={timezones}
+                />
               </div>
               <div className="mb-4 flex space-x-2">
                 <button
@@ -360,7 +646,39 @@ export default function App() {
                 >
                   Common Holidays
                 </button>
+                <button
+                  className="px-4 py-2 rounded bg-pink-500 text-white font-semibold hover:bg-pink-600 transition"
+                  onClick={() => setShowSuggestions(true)}
+                >
+                  Suggest times
+                </button>
+                <button
+                  className={`px-4 py-2 rounded ${showOrgHolidays ? 'bg-sky-600 text-white' : 'bg-sky-100 text-sky-800'} font-semibold`}
+                  onClick={() => setShowOrgHolidays(!showOrgHolidays)}
+                  title="Company shutdowns and other days off for everyone"
+                >
+                  Org holidays{orgHolidays.length > 0 ? ` (${orgHolidays.length})` : ''}
+                </button>
               </div>
+              {showOrgHolidays && (
+                <div className="mb-4 w-full max-w-4xl rounded bg-sky-50 border border-sky-200 px-3 py-2">
+                  <div className="text-sm text-sky-800 mb-1">Organisation holidays block these dates for every participant.</div>
+                  <TimeOffEditor blocks={orgHolidays} onChange={setOrgHolidays} placeholder="e.g. Shutdown" />
+                </div>
+              )}
+              {loadingHolidays && (
+                <div className="mb-2 text-sm text-gray-500">Loading holidays…</div>
+              )}
+              {holidayErrors.length > 0 && (
+                <div className="mb-2 w-full max-w-4xl flex items-center justify-between rounded bg-red-50 border border-red-200 px-3 py-2 text-sm text-red-700">
+                  <span>
+                    Could not load holidays from {holidayProvider.name} for{' '}
+                    {holidayErrors.map(e => `${e.code} ${e.year} (${e.message})`).join(', ')}.
+                    Those days are shown without holidays.
+                  </span>
+                  <button className="ml-4 px-3 py-1 rounded bg-red-100 font-semibold hover:bg-red-200" onClick={handleRetryHolidays}>Retry</button>
+                </div>
+              )}
               <div className="w-full max-w-4xl h-[600px] bg-white rounded-xl shadow-lg p-4">
                 <Calendar
                   localizer={localizer}
@@ -369,12 +687,13 @@ export default function App() {
                   endAccessor="end"
                   style={{ height: 500 }}
                   timeslots={1}
-                  step={60}
+                  step={slotStep}
                   views={['month', 'week', 'day']}
                   defaultView={calendarView}
+                  defaultDate={selectedDate || undefined}
                   onRangeChange={handleRangeChange}
                   onView={handleViewChange}
-                  timeslotPropGetter={() => ({ style: { backgroundColor: '#f9fafb' } })}
+                  slotPropGetter={slotPropGetter}
                   eventPropGetter={(event) => {
                     if (event.resource?.type === 'countryHoliday') {
                       return { style: { backgroundColor: event.resource.color, color: 'white', borderRadius: 6, border: '1px solid #fff' }, title: `${event.title}\n${event.resource.localName} (${event.resource.holidayType})` };
@@ -382,6 +701,9 @@ export default function App() {
                     if (event.resource?.type === 'otherHoliday') {
                       return { style: { backgroundColor: event.resource.color, color: '#374151', borderRadius: 6, border: '1px solid #fff', fontStyle: 'italic' }, title: `${event.title}\n${event.resource.localName} (${event.resource.holidayType})` };
                     }
+                    if (event.resource?.type === 'timeOff' || event.resource?.type === 'orgHoliday') {
+                      return { style: { backgroundColor: event.resource.color, color: 'white', borderRadius: 6, border: '1px dashed #fff' }, title: event.title };
+                    }
                     if (event.resource?.type === 'filter') {
                       if (event.resource.filterType === 'holiday') {
                         return { style: { backgroundColor: '#f87171', color: 'white', borderRadius: 6, border: '2px solid #111' } };
@@ -400,6 +722,11 @@ export default function App() {
                     // Only show modal when a single day is selected
                     if (slotInfo && slotInfo.start && slotInfo.end && moment(slotInfo.start).isSame(slotInfo.end, 'day')) {
                       setSelectedDate(slotInfo.start);
+                      // In week/day view the clicked slot becomes the selection, even a near-miss
+                      if (calendarView !== 'month') {
+                        const minutes = slotInfo.start.getHours() * 60 + slotInfo.start.getMinutes();
+                        setSelectedSlot(minutes - (minutes % slotStep));
+                      }
                       setShowTimeFilter(true);
                     }
                   }}
@@ -422,13 +749,105 @@ export default function App() {
             {selectedParticipants.length === 0 ? (
               <div className="text-gray-400">No locations selected yet.</div>
             ) : (
-              <ul className="space-y-2">
+              <ul className="space-y-2 max-h-[60vh] overflow-y-auto">
                 {selectedParticipants.map((p) => (
-                  <li key={p.id} className="flex items-center justify-between bg-blue-50 rounded px-3 py-2">
+                  <li
+                    key={p.id}
+                    className={`flex items-center justify-between rounded px-3 py-2 ${isRequired(p) ? 'bg-blue-50' : 'bg-gray-50'}`}
+                    onMouseEnter={() => setHoveredParticipantId(p.id)}
+                    onMouseLeave={() => setHoveredParticipantId(null)}
+                  >
                     <div>
-                      <div className="font-medium text-blue-800">{p.name}</div>
+                      <div className="flex items-center space-x-1">
+                        <input
+                          type="text"
+                          value={p.person || ''}
+                          onChange={e => handleUpdateParticipant(p.id, { person: e.target.value })}
+                          placeholder="Name"
+                          className="w-24 border rounded px-1 text-sm text-blue-900"
+                        />
+                        <input
+                          type="text"
+                          value={p.role || ''}
+                          onChange={e => handleUpdateParticipant(p.id, { role: e.target.value })}
+                          placeholder="Role"
+                          className="w-20 border rounded px-1 text-sm text-gray-700"
+                        />
+                      </div>
+                      <div className="flex items-center space-x-2 mt-1">
+                        <span className="font-medium text-blue-800">{p.name}</span>
+                        <label className="text-xs text-gray-600 flex items-center space-x-1">
+                          <input
+                            type="checkbox"
+                            checked={isRequired(p)}
+                            onChange={e => handleUpdateParticipant(p.id, { required: e.target.checked })}
+                          />
+                          <span>Required</span>
+                        </label>
+                        <button className="text-xs text-blue-500 hover:text-blue-700" onClick={() => handleAddPersonAt(p.id)} title="Add another person at this location">+ person</button>
+                      </div>
                       <div className="text-xs text-blue-600">{p.timezone}</div>
                       <div className="text-xs text-gray-500">{p.time}</div>
+                      <div className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                        <span>Hours:</span>
+                        <input
+                          type="number" min={0} max={23}
+                          value={p.availability ? p.availability.start : awakeStart}
+                          onChange={e => handleChangeAvailability(p.id, { start: Number(e.target.value), end: p.availability ? p.availability.end : awakeEnd })}
+                          className={`w-10 border rounded px-1 ${p.availability ? '' : 'text-gray-400'}`}
+                        />
+                        <span>–</span>
+                        <input
+                          type="number" min={1} max={24}
+                          value={p.availability ? p.availability.end : awakeEnd}
+                          onChange={e => handleChangeAvailability(p.id, { start: p.availability ? p.availability.start : awakeStart, end: Number(e.target.value) })}
+                          className={`w-10 border rounded px-1 ${p.availability ? '' : 'text-gray-400'}`}
+                        />
+                        {p.availability && (
+                          <button className="text-blue-500 hover:text-blue-700" onClick={() => handleChangeAvailability(p.id, null)} title="Use default awake range">reset</button>
+                        )}
+                      </div>
+                      {(p.subdivision || getHolidaySubdivisions(holidaysByCountry[p.iso2] || []).length > 0) && (
+                        <div className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                          <span>Region:</span>
+                          <select
+                            className="border rounded px-1 bg-white"
+                            value={p.subdivision || ''}
+                            onChange={e => handleChangeSubdivision(p.id, e.target.value || null)}
+                            title="Regional holidays only apply to participants in that region"
+                          >
+                            <option value="">Nationwide holidays only</option>
+                            {Array.from(new Set([...(p.subdivision ? [p.subdivision] : []), ...getHolidaySubdivisions(holidaysByCountry[p.iso2] || [])])).map(code => (
+                              <option key={code} value={code}>{code}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                        <span>Weekend:</span>
+                        {WEEKDAY_LABELS.map((label, day) => {
+                          const off = getParticipantWeekend(p).includes(day);
+                          return (
+                            <button
+                              key={label}
+                              className={`px-1 rounded ${off ? 'bg-yellow-300 text-yellow-900' : 'bg-white text-gray-400'} ${p.weekendDays ? 'font-semibold' : ''}`}
+                              onClick={() => handleToggleWeekendDay(p.id, day)}
+                              title={off ? `${label} is a day off` : `${label} is a workday`}
+                            >
+                              {label[0]}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <div className="text-xs text-gray-600 mt-1">
+                        <span>Time off:</span>
+                        <TimeOffEditor blocks={p.timeOff || []} onChange={timeOff => handleUpdateParticipant(p.id, { timeOff })} placeholder="e.g. Vacation" />
+                      </div>
+                      <BusyCalendarImport
+                        participant={p}
+                        timezone={getParticipantTimezone(p)}
+                        onChange={(busy, busySource) => handleUpdateParticipant(p.id, { busy, busySource })}
+                      />
                     </div>
                     <button className="ml-2 text-red-500 hover:text-red-700" onClick={() => handleRemoveParticipant(p.id)} title="Remove">&times;</button>
                   </li>
@@ -460,23 +879,19 @@ export default function App() {
         {/* Time filter modal */}
         {showTimeFilter && selectedDate && (
           <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-[999999]">
-            <div className="bg-white rounded-xl shadow-lg p-6 w-[500px] relative">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-[720px] max-w-full max-h-[95vh] overflow-y-auto relative">
               <button className="absolute top-2 right-2 text-gray-400 hover:text-red-500 text-2xl" onClick={() => setShowTimeFilter(false)}>&times;</button>
               <h3 className="text-lg font-bold mb-2">Time Filter for {moment(selectedDate).format('YYYY-MM-DD')}</h3>
               <div className="mb-2 flex items-center space-x-2">
                 <span>Progress bar timezone:</span>
-                <select
+                <TimezoneSelect
                   className="px-2 py-1 rounded border border-blue-200 bg-white text-blue-700 font-semibold"
                   value={calendarTz}
-                  onChange={e => setCalendarTz(e.target.value)}
-                >
-                  {timezones.map(tz => (
-                    <option key={tz} value={tz}>{tz}</option>
-                  ))}
-                  {!timezones.includes('UTC') && <option value="UTC">UTC</option>}
-                </select>
+                  onChange={handleChangeCalendarTz}
+                  participantZones={timezones}
+                />
               </div>
-              <div className="mb-2">Awake range (local time for each participant):</div>
+              <div className="mb-2">Default awake range (local time, for participants without their own hours):</div>
               <div className="flex space-x-2 mb-4">
                 <label>Start:
                   <input type="number" min={0} max={23} value={awakeStart} onChange={e => setAwakeStart(Number(e.target.value))} className="ml-1 w-12 border rounded px-1" />
@@ -485,64 +900,187 @@ export default function App() {
                   <input type="number" min={1} max={24} value={awakeEnd} onChange={e => setAwakeEnd(Number(e.target.value))} className="ml-1 w-12 border rounded px-1" />
                 </label>
               </div>
-              <div className="mb-2 font-semibold">All participants are awake at:</div>
+              <div className="mb-4 flex items-center space-x-2">
+                <label>Duration:
+                  <input
+                    type="number" min={MEETING_DURATION.min} max={MEETING_DURATION.max} step={MEETING_DURATION.step}
+                    value={meetingDuration}
+                    onChange={e => setMeetingDuration(Number(e.target.value))}
+                    // Clamped once typing is done, to the same lengths plan links accept
+                    onBlur={() => setMeetingDuration(clampDuration(meetingDuration))}
+                    className="ml-1 w-16 border rounded px-1"
+                  /> min
+                </label>
+                <span className="pl-2">Slot step:</span>
+                {SLOT_STEPS.map(step => (
+                  <button
+                    key={step}
+                    className={`px-2 py-1 rounded text-sm ${slotStep === step ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'} font-semibold`}
+                    onClick={() => handleChangeSlotStep(step)}
+                  >
+                    {step} min
+                  </button>
+                ))}
+              </div>
+              <div className="mb-2 font-semibold">All required participants are awake at:</div>
               {/* Progress bar style awake time visualization, clickable */}
               <div className="flex flex-col items-center w-full mb-2">
                 <div className="relative w-full h-8 bg-gray-200 rounded-full overflow-hidden flex items-center cursor-pointer">
-                  {[...Array(24)].map((_, h) => {
-                    const dt = moment(selectedDate).tz(calendarTz).hour(h).minute(0).second(0);
-                    const allAwake = selectedParticipants.length > 0 && selectedParticipants.every(p => {
-                      const local = dt.clone().tz(p.timezone.split(' ')[0]);
-                      const hour = local.hour();
-                      return hour >= awakeStart && hour < awakeEnd;
-                    });
-                    const isSelected = selectedHour === h;
+                  {getDaySlots(slotStep).map((m, i, slots) => {
+                    const dt = getSlotInstant(selectedDate, m, calendarTz);
+                    const attendance = getSlotAttendance(dt, selectedParticipants, defaultAvailability, meetingDuration);
+                    const allAwake = attendance.allRequired;
+                    const unavailable = selectedParticipants.filter(p => !attendance.available.includes(p));
+                    const optionalNote = attendance.optionalTotal > 0 ? ` (${attendance.optionalAvailable}/${attendance.optionalTotal} optional can attend)` : '';
+                    const isSelected = selectedSlot === m;
                     return (
                       <div
-                        key={h}
+                        key={m}
                         className={
                           `h-full ${allAwake ? (isSelected ? 'bg-pink-500' : 'bg-blue-500 hover:bg-pink-400') : 'bg-gray-300'} transition-all duration-200 ${allAwake ? 'cursor-pointer' : 'cursor-not-allowed'}`
                         }
-                        style={{ width: '4.16%', minWidth: 8, borderRight: h < 23 ? '1px solid #fff' : undefined, opacity: allAwake ? 1 : 0.5, boxShadow: isSelected ? '0 0 8px 2px #f472b6' : undefined }}
-                        title={`${h}:00`}
-                        onClick={() => allAwake && setSelectedHour(h)}
+                        style={{ width: `${100 / slots.length}%`, borderRight: i < slots.length - 1 && m % 60 === 60 - slotStep ? '1px solid #fff' : undefined, opacity: allAwake ? 1 : 0.5, boxShadow: isSelected ? '0 0 8px 2px #f472b6' : undefined }}
+                        title={`${formatSlot(m)}${optionalNote}${unavailable.length > 0 ? ` – unavailable: ${unavailable.map(p => `${getParticipantLabel(p)}${isBusyDuring(dt, meetingDuration, p) ? ' (busy)' : ''}`).join(', ')}` : ''}`}
+                        onClick={() => allAwake && setSelectedSlot(m)}
                       />
                     );
                   })}
                   {/* Hour ticks */}
                   <div className="absolute top-full left-0 w-full flex justify-between text-xs text-gray-500 mt-1">
-                    {[0, 6, 12, 18, 23].map(h => (
-                      <span key={h} style={{ left: `${(h / 23) * 100}%`, position: 'absolute', transform: 'translateX(-50%)' }}>{h}:00</span>
+                    {[0, 6, 12, 18, 24].map(h => (
+                      <span key={h} style={{ left: `${(h / 24) * 100}%`, position: 'absolute', transform: 'translateX(-50%)' }}>{h}:00</span>
                     ))}
                   </div>
                 </div>
               </div>
-              <div className="flex flex-wrap gap-2 mb-4">
-                {getCommonAwakeHours(selectedDate, calendarTz).length === 0 ? (
-                  <span className="text-red-500">No common awake hours</span>
+              <div className="flex flex-wrap gap-2 mt-6 mb-4">
+                {commonAwakeSlots.length === 0 ? (
+                  <span className="text-red-500">No common awake hours – pick a near-miss from the heatmap below</span>
                 ) : (
-                  getCommonAwakeHours(selectedDate, calendarTz).map(h => (
-                    <span key={h} className={`px-2 py-1 rounded font-mono ${selectedHour === h ? 'bg-pink-500 text-white' : 'bg-blue-100 text-blue-800'} cursor-pointer`} onClick={() => setSelectedHour(h)}>{h}:00</span>
-                  ))
+                  commonAwakeSlots.map(m => {
+                    const attendance = getSlotAttendance(getSlotInstant(selectedDate, m, calendarTz), selectedParticipants, defaultAvailability, meetingDuration);
+                    return (
+                      <span
+                        key={m}
+                        className={`px-2 py-1 rounded font-mono ${selectedSlot === m ? 'bg-pink-500 text-white' : 'bg-blue-100 text-blue-800'} cursor-pointer`}
+                        onClick={() => setSelectedSlot(m)}
+                        title={attendance.optionalTotal > 0 ? `${attendance.optionalAvailable} of ${attendance.optionalTotal} optional participants can attend` : undefined}
+                      >
+                        {formatSlot(m)}
+                        {attendance.optionalTotal > 0 && <span className="text-xs opacity-75"> +{attendance.optionalAvailable}/{attendance.optionalTotal}</span>}
+                      </span>
+                    );
+                  })
                 )}
               </div>
+              <div className="mb-2 font-semibold">Who can attend each slot:</div>
+              <AvailabilityHeatmap
+                date={selectedDate}
+                tz={calendarTz}
+                participants={selectedParticipants}
+                defaults={defaultAvailability}
+                step={slotStep}
+                durationMinutes={meetingDuration}
+                selectedSlot={selectedSlot}
+                onSelect={setSelectedSlot}
+              />
+              <div className="mb-5 font-semibold">Everyone's local time (drag the cursor to pick a slot):</div>
+              <TimelineRibbon
+                date={selectedDate}
+                tz={calendarTz}
+                participants={selectedParticipants}
+                defaults={defaultAvailability}
+                step={slotStep}
+                selectedSlot={selectedSlot}
+                onSelect={setSelectedSlot}
+              />
               <button
                 className="mt-2 px-6 py-2 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 transition w-full disabled:bg-gray-300 disabled:text-gray-500"
                 onClick={() => { setShowTimeFilter(false); setShowResult(true); }}
-                disabled={selectedHour === null}
+                disabled={selectedSlot === null}
               >
                 Confirm
               </button>
             </div>
           </div>
         )}
+        {/* Saved groups and plans */}
+        {showSaved && (
+          <SavedPlansPanel
+            saved={saved}
+            onChange={setSaved}
+            participants={selectedParticipants}
+            planHash={planHash}
+            onLoadParticipants={handleLoadParticipants}
+            onLoadPlan={handleLoadPlan}
+            onClose={() => setShowSaved(false)}
+          />
+        )}
+        {/* Roster import/export */}
+        {showRoster && (
+          <RosterPanel
+            participants={selectedParticipants}
+            onImport={handleImportRoster}
+            onClose={() => setShowRoster(false)}
+          />
+        )}
+        {/* Ranked slot suggestions across the visible date range */}
+        {showSuggestions && (
+          <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-[999999]">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-[600px] max-h-[80vh] overflow-y-auto relative">
+              <button className="absolute top-2 right-2 text-gray-400 hover:text-red-500 text-2xl" onClick={() => setShowSuggestions(false)}>&times;</button>
+              <h3 className="text-lg font-bold mb-2">Suggested Times</h3>
+              <div className="text-sm text-gray-500 mb-4">
+                Best {meetingDuration}-minute slots on the highlighted days of the current view, in {calendarTz}.
+                Early mornings, late evenings and local holidays count against a slot.
+              </div>
+              <div className="mb-4 flex items-center space-x-2">
+                <span>Show top:</span>
+                <select
+                  className="px-2 py-1 rounded border border-blue-200 bg-white text-blue-700 font-semibold"
+                  value={suggestionLimit}
+                  onChange={e => setSuggestionLimit(Number(e.target.value))}
+                >
+                  {[5, 10, 20].map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </div>
+              {suggestions.length === 0 ? (
+                <div className="text-red-500">No slot fits every participant on the highlighted days.</div>
+              ) : (
+                <ol className="space-y-2">
+                  {suggestions.map((sug, idx) => (
+                    <li
+                      key={sug.instant.valueOf()}
+                      className="rounded-lg bg-blue-50 hover:bg-pink-100 px-3 py-2 cursor-pointer transition"
+                      onClick={() => handlePickSuggestion(sug)}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-semibold text-blue-800">{idx + 1}. {sug.instant.format('ddd YYYY-MM-DD')} {formatSlot(sug.slot)}</span>
+                        <span className="text-xs text-gray-500">inconvenience {sug.score.toFixed(1)}</span>
+                      </div>
+                      <div className="text-xs text-gray-600 flex flex-wrap gap-x-3">
+                        {sug.locals.map(({ participant, local, holiday, available }) => (
+                          <span key={participant.id} className={holiday ? 'text-red-500' : !available ? 'text-gray-400 line-through' : undefined}>
+                            {getParticipantLabel(participant)}: {local.format('HH:mm')}{holiday ? ' (holiday)' : ''}
+                          </span>
+                        ))}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        )}
         {/* 结果页面：美化卡片式显示每个地区的本地时间 */}
-        {showResult && selectedDate && selectedHour !== null && (
+        {showResult && selectedDate && selectedSlot !== null && (
           <div className="fixed inset-0 bg-gradient-to-br from-blue-100 via-pink-100 to-yellow-100 flex items-center justify-center z-[999999]">
-            <div className="bg-white/90 rounded-3xl shadow-2xl p-10 w-[600px] max-w-full relative flex flex-col items-center">
+            <div className="bg-white/90 rounded-3xl shadow-2xl p-10 w-[720px] max-w-full max-h-[95vh] overflow-y-auto relative flex flex-col items-center">
               <button className="absolute top-4 right-6 text-gray-400 hover:text-red-500 text-3xl" onClick={() => {
                 setShowResult(false);
-                setSelectedHour(null);
+                setSelectedSlot(null);
                 setSelectedDate(null);
                 setShowTimeFilter(false);
                 setCurrentStep(0);
@@ -550,26 +1088,65 @@ export default function App() {
               <h2 className="text-2xl font-extrabold text-pink-600 mb-6 tracking-wide drop-shadow">Meeting Local Times</h2>
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 w-full">
                 {selectedParticipants.map((p, idx) => {
-                  const refMoment = moment.tz(moment(selectedDate).format('YYYY-MM-DD'), calendarTz).hour(selectedHour).minute(0).second(0);
-                  const local = refMoment.clone().tz(p.timezone.split(' ')[0]);
+                  const refMoment = getSlotInstant(selectedDate, selectedSlot, calendarTz);
+                  const local = refMoment.clone().tz(getParticipantTimezone(p));
+                  const localEnd = local.clone().add(meetingDuration, 'minutes');
+                  const canAttend = getSlotAttendance(refMoment, [p], defaultAvailability, meetingDuration).available.length === 1;
                   return (
                     <div key={p.id} className="rounded-2xl bg-gradient-to-br from-white via-blue-50 to-pink-50 shadow-lg p-6 flex flex-col items-center border-2 border-blue-200">
                       <div className="text-lg font-bold text-blue-700 mb-1 flex items-center gap-2">
                         <span className="inline-block w-3 h-3 rounded-full" style={{ background: countryColors[idx % countryColors.length] }}></span>
-                        {p.name}
+                        {getParticipantLabel(p)}
                       </div>
-                      <div className="text-xs text-gray-500 mb-2">{p.timezone.split(' ')[0]}</div>
+                      {(p.role || !isRequired(p) || !canAttend) && (
+                        <div className={`text-xs mb-1 ${canAttend ? 'text-gray-600' : 'text-red-500'}`}>
+                          {[p.role, isRequired(p) ? !canAttend && 'outside their hours' : canAttend ? 'optional' : 'optional – outside their hours'].filter(Boolean).join(' · ')}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-500 mb-2">{getParticipantTimezone(p)}</div>
                       <div className="text-3xl font-mono text-pink-600 mb-2 drop-shadow">
-                        {local.format('YYYY-MM-DD')}<br/>{local.format('HH:mm')}
+                        {local.format('YYYY-MM-DD')}<br/>{local.format('HH:mm')} – {localEnd.format('HH:mm')}
                       </div>
+                      {!localEnd.isSame(local, 'day') && (
+                        <div className="text-xs text-pink-500 mb-1">ends {localEnd.format('YYYY-MM-DD')}</div>
+                      )}
                       <div className="text-sm text-gray-700">Local time</div>
+                      {series.length > 1 && (
+                        <div className="text-xs text-orange-600 mt-1" title="One point per hour before 9:00 or after 17:00 local time, summed over the series">
+                          Inconvenience over {series.length} meetings{fairness ? ' (rotation)' : ''}: {inconvenienceTally[p.id].toFixed(1)}
+                        </div>
+                      )}
                     </div>
                   );
                 })}
               </div>
-              <button className="mt-8 px-8 py-3 rounded-full bg-blue-600 text-white font-bold text-lg shadow hover:bg-blue-700 transition" onClick={() => {
+              {showResult && (
+                <RecurrencePanel recurrence={recurrence} onChange={setRecurrence} series={heldSeries} tz={calendarTz} />
+              )}
+              {recurrence.frequency !== 'none' && (
+                <label className="w-full mt-4 flex items-center space-x-2 text-sm font-semibold text-blue-700">
+                  <input type="checkbox" checked={fairnessMode} onChange={e => setFairnessMode(e.target.checked)} />
+                  <span>Fairness rotation: move the slot between occurrences to share early and late calls</span>
+                </label>
+              )}
+              {fairness && (
+                <FairnessPanel rotation={fairness.rotation} participants={selectedParticipants} tz={calendarTz} />
+              )}
+              <div className="mt-8 w-full flex items-center gap-2">
+                <input
+                  type="text"
+                  value={meetingTitle}
+                  onChange={e => setMeetingTitle(e.target.value)}
+                  placeholder="Meeting title"
+                  className="flex-1 px-3 py-2 rounded border border-blue-200 text-blue-800"
+                />
+                <button className="px-4 py-2 rounded bg-pink-500 text-white font-semibold hover:bg-pink-600 transition" onClick={handleExportICS}>
+                  Export .ics
+                </button>
+              </div>
+              <button className="mt-6 px-8 py-3 rounded-full bg-blue-600 text-white font-bold text-lg shadow hover:bg-blue-700 transition" onClick={() => {
                 setShowResult(false);
-                setSelectedHour(null);
+                setSelectedSlot(null);
                 setSelectedDate(null);
                 setShowTimeFilter(false);
                 setCurrentStep(0);
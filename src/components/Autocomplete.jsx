@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+// Search box with a keyboard-navigable result list. search(query) returns the
+// results, renderItem(item) draws one and getKey(item) keys it; choosing a
+// result calls onSelect(item) and clears the box.
+export default function Autocomplete({ search, renderItem, getKey, onSelect, placeholder, label }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [open, setOpen] = useState(false);
+  const results = open ? search(query) : [];
+
+  const choose = (item) => {
+    onSelect(item);
+    setQuery('');
+    setActiveIndex(0);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(Math.min(activeIndex + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      choose(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-72">
+      <input
+        type="search"
+        value={query}
+        onChange={e => { setQuery(e.target.value); setActiveIndex(0); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className="w-full px-3 py-2 rounded-lg border border-blue-200 shadow text-blue-900 bg-white"
+        aria-label={label}
+      />
+      {results.length > 0 && (
+        <ul className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg border border-blue-100 overflow-hidden">
+          {results.map((item, idx) => (
+            <li
+              key={getKey(item)}
+              className={`px-3 py-2 cursor-pointer ${idx === activeIndex ? 'bg-blue-100' : 'hover:bg-blue-50'}`}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={e => { e.preventDefault(); choose(item); }}
+              onMouseEnter={() => setActiveIndex(idx)}
+            >
+              {renderItem(item)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { formatSlot, getDaySlots, getSlotAttendance, getSlotInstant, isBusyDuring } from '../utils/availability';
+import { getParticipantLabel, isRequired } from '../utils/participants';
+
+// Background for a slot where available of total participants can attend
+export function heatColor(available, total) {
+  if (total === 0 || available === 0) return '#e5e7eb';
+  if (available === total) return '#2563eb';
+  return `rgba(37, 99, 235, ${0.15 + 0.6 * (available / total)})`;
+}
+
+// One cell per slot of the day, shaded by how many participants can attend,
+// with a breakdown of who can and cannot for the hovered slot. Any slot with
+// someone available can be selected, so near-misses are usable too.
+export default function AvailabilityHeatmap({ date, tz, participants, defaults, step, durationMinutes, selectedSlot, onSelect }) {
+  const [hovered, setHovered] = useState(null);
+  const slots = getDaySlots(step).map(m => ({
+    m,
+    attendance: getSlotAttendance(getSlotInstant(date, m, tz), participants, defaults, durationMinutes),
+  }));
+  const total = participants.length;
+  const detail = slots.find(s => s.m === (hovered !== null ? hovered : selectedSlot));
+
+  return (
+    <div className="w-full mb-2">
+      <div className="flex w-full h-8 rounded overflow-hidden border border-gray-200" onMouseLeave={() => setHovered(null)}>
+        {slots.map(({ m, attendance }) => {
+          const count = attendance.available.length;
+          return (
+            <div
+              key={m}
+              className={`h-full flex items-center justify-center text-[10px] font-semibold ${count > 0 ? 'cursor-pointer' : 'cursor-not-allowed'}`}
+              style={{
+                width: `${100 / slots.length}%`,
+                backgroundColor: heatColor(count, total),
+                color: count / total > 0.5 ? 'white' : '#374151',
+                outline: selectedSlot === m ? '2px solid #ec4899' : undefined,
+                outlineOffset: -2,
+              }}
+              onMouseEnter={() => setHovered(m)}
+              onClick={() => count > 0 && onSelect(m)}
+            >
+              {step === 60 ? count : ''}
+            </div>
+          );
+        })}
+      </div>
+      <div className="min-h-[3rem] mt-1 text-xs text-gray-600">
+        {detail ? (
+          <>
+            <div className="font-semibold text-gray-800">
+              {formatSlot(detail.m)}: {detail.attendance.available.length} of {total} available
+              {!detail.attendance.allRequired && <span className="text-red-500"> (required participants missing)</span>}
+            </div>
+            <div>
+              {participants.map(p => {
+                const ok = detail.attendance.available.includes(p);
+                return (
+                  <span key={p.id} className={`mr-2 ${ok ? 'text-green-700' : isRequired(p) ? 'text-red-500' : 'text-gray-400'}`}>
+                    {ok ? '✓' : '✗'} {getParticipantLabel(p)}
+                    {!ok && isBusyDuring(getSlotInstant(date, detail.m, tz), durationMinutes, p) && ' (busy)'}
+                  </span>
+                );
+              })}
+            </div>
+          </>
+        ) : (
+          <span>Hover a slot to see who is available.</span>
+        )}
+      </div>
+    </div>
+  );
+}
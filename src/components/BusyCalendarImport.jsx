@@ -0,0 +1,62 @@
+import React, { useRef, useState } from 'react';
+import { getBusyBlocks } from '../utils/icsImport';
+
+// Load a participant's busy times from an .ics file or pasted iCalendar text.
+// Calls onChange(busy, source) with the busy blocks, or (null, null) to clear.
+export default function BusyCalendarImport({ participant, timezone, onChange }) {
+  const fileRef = useRef(null);
+  const [pasting, setPasting] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  function importText(content, source) {
+    try {
+      onChange(getBusyBlocks(content, timezone), source);
+      setError(null);
+      setPasting(false);
+      setText('');
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(content => importText(content, file.name), err => setError(err.message));
+  }
+
+  return (
+    <div className="text-xs text-gray-600 mt-1">
+      <div className="flex items-center space-x-1">
+        <span>Busy:</span>
+        {participant.busy ? (
+          <>
+            <span className="text-purple-700" title={participant.busySource}>{participant.busy.length} blocks from {participant.busySource}</span>
+            <button className="text-red-500 hover:text-red-700" onClick={() => onChange(null, null)} title="Forget imported busy times">&times;</button>
+          </>
+        ) : (
+          <>
+            <button className="text-blue-500 hover:text-blue-700" onClick={() => fileRef.current.click()}>Import .ics</button>
+            <button className="text-blue-500 hover:text-blue-700" onClick={() => setPasting(!pasting)}>Paste</button>
+          </>
+        )}
+        <input ref={fileRef} type="file" accept=".ics,text/calendar" className="hidden" onChange={handleFile} />
+      </div>
+      {pasting && (
+        <div className="mt-1">
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            placeholder="BEGIN:VCALENDAR…"
+            rows={3}
+            className="w-full border rounded px-1 font-mono"
+          />
+          <button className="px-2 rounded bg-purple-100 text-purple-800 font-semibold hover:bg-purple-200" onClick={() => importText(text, 'pasted calendar')}>Use</button>
+        </div>
+      )}
+      {error && <div className="text-red-500">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+import Autocomplete from './Autocomplete';
+import { searchCities } from '../utils/gazetteer';
+
+// Autocomplete over the bundled city gazetteer; calls onSelect(city) with
+// { name, iso2, countryName, lat, lng }
+export default function CitySearch({ onSelect }) {
+  return (
+    <Autocomplete
+      search={searchCities}
+      getKey={city => `${city.name}|${city.iso2}|${city.lat}|${city.lng}`}
+      renderItem={city => (
+        <>
+          <span className="font-medium text-blue-800">{city.name}</span>
+          <span className="text-xs text-gray-500">, {city.countryName}</span>
+        </>
+      )}
+      onSelect={onSelect}
+      placeholder="Search a city, e.g. Kathmandu"
+      label="Search a city"
+    />
+  );
+}
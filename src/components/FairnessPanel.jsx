@@ -0,0 +1,44 @@
+import React from 'react';
+import { formatSlot, getParticipantTimezone } from '../utils/availability';
+import { getParticipantLabel } from '../utils/participants';
+
+// Proposed rotation of slots across a series, with each participant's local
+// time and inconvenience per occurrence
+export default function FairnessPanel({ rotation, participants, tz }) {
+  return (
+    <div className="w-full mt-4">
+      <div className="text-sm text-gray-600 mb-2">
+        Each occurrence uses a slot inside every required participant's own hours, picking the one that keeps everyone's accumulated inconvenience as even as possible.
+        Inconvenience is one point per hour before 9:00 or after 17:00 local time. The series table above and the .ics export follow this rotation.
+      </div>
+      <div className="max-h-64 overflow-auto rounded border border-blue-100">
+        <table className="w-full text-xs">
+          <thead className="bg-blue-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left">{tz}</th>
+              {participants.map(p => (
+                <th key={p.id} className="px-2 py-1 text-left">{getParticipantLabel(p)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rotation.map(r => (
+              <tr key={r.instant.valueOf()} className="border-t border-blue-50">
+                <td className="px-2 py-1 font-mono whitespace-nowrap">
+                  {r.instant.format('ddd YYYY-MM-DD')} {formatSlot(r.slot)}
+                  {!r.fits && <div className="font-sans text-red-500">no slot fits everyone</div>}
+                </td>
+                {participants.map(p => (
+                  <td key={p.id} className={`px-2 py-1 whitespace-nowrap ${r.pains[p.id] > 0 ? 'text-orange-600' : ''}`}>
+                    <span className="font-mono">{r.instant.clone().tz(getParticipantTimezone(p)).format('HH:mm')}</span>
+                    {r.pains[p.id] > 0 && <span> ({r.pains[p.id].toFixed(1)})</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,55 +1,96 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
+import moment from 'moment-timezone';
 import 'leaflet/dist/leaflet.css';
-import { DateTime } from 'luxon';
-import tzlookup from 'tz-lookup';
+import CitySearch from './CitySearch';
+import ZoneSearch from './ZoneSearch';
+import { getMarkerTooltipHtml } from '../utils/markers';
+import { createParticipant, createParticipantForZone } from '../utils/locations';
+import { getParticipantTimezone } from '../utils/availability';
+import { createTimeZoneLayer, createNightLayer, describeZoneAt } from './mapOverlays';
 import countries from './data/countries.geo.json';
-import * as turf from '@turf/turf';
-
-// Helper to get timezone from lat/lng using tz-lookup (no API, no token)
-function getTimezone(lat, lng) {
-  try {
-    return tzlookup(lat, lng);
-  } catch {
-    return null;
-  }
-}
 
-// Helper to get country/region from lat/lng using GeoJSON + turf.js (no API, no token)
-function getCountryRegion(lat, lng) {
-  const pt = turf.point([lng, lat]);
-  for (const feature of countries.features) {
-    if (
-      feature.geometry &&
-      (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') &&
-      turf.booleanPointInPolygon(pt, feature)
-    ) {
-      return feature.properties.name || feature.properties.ADMIN || feature.properties.NAME || 'Unknown';
-    }
-  }
-  return 'Unknown';
-}
+// Optional raster tiles under the country shapes, e.g.
+// VITE_MAP_TILE_URL=https://tiles.example.com/{z}/{x}/{y}.png
+const DEFAULT_TILE_URL = import.meta.env?.VITE_MAP_TILE_URL || null;
+const DEFAULT_TILE_ATTRIBUTION = import.meta.env?.VITE_MAP_TILE_ATTRIBUTION || '';
 
-function getCountryRegionWithISO(lat, lng) {
-  const pt = turf.point([lng, lat]);
-  for (const feature of countries.features) {
-    if (
-      feature.geometry &&
-      (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') &&
-      turf.booleanPointInPolygon(pt, feature)
-    ) {
-      return {
-        name: feature.properties.name || feature.properties.ADMIN || feature.properties.NAME || 'Unknown',
-        iso2: feature.properties["ISO3166-1-Alpha-2"] || '',
-      };
-    }
-  }
-  return { name: 'Unknown', iso2: '' };
+const OCEAN_COLOR = '#dbeafe';
+const LAND_COLOR = '#f8fafc';
+const BORDER_COLOR = '#94a3b8';
+
+// Popup for a marker: edit the attendee's name or remove them
+function createMarkerPopup(participant, { onUpdate, onRemove }) {
+  const container = L.DomUtil.create('div', 'space-y-1');
+  const place = L.DomUtil.create('div', 'text-xs text-gray-500', container);
+  place.textContent = `${participant.name} · ${participant.timezone}`;
+  const input = L.DomUtil.create('input', 'w-full border rounded px-1', container);
+  input.type = 'text';
+  input.placeholder = 'Name';
+  input.value = participant.person || '';
+  L.DomEvent.on(input, 'change', () => onUpdate(participant.id, { person: input.value }));
+  L.DomEvent.on(input, 'keydown', (e) => {
+    if (e.key === 'Enter') input.blur();
+  });
+  const remove = L.DomUtil.create('button', 'text-red-500 hover:text-red-700 text-sm', container);
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  L.DomEvent.on(remove, 'click', () => onRemove(participant.id));
+  return container;
 }
 
-export default function MapLocationPicker({ onAddParticipant, selectedParticipants }) {
+// The basemap is drawn from the bundled country shapes, so it works offline
+// and behind proxies; countries with participants are filled in their colour.
+// countryColorByIso maps ISO2 codes to the colours used elsewhere in the app.
+// Marker times, the day/night shading and zone hover all follow one instant:
+// now, or a time picked on the slider (e.g. meetingInstant, the chosen slot).
+// Markers can be dragged (onMoveParticipant(id, lat, lng)) and have a popup to
+// rename (onUpdateParticipant) or remove (onRemoveParticipant) the attendee;
+// highlightedId picks out one marker, e.g. while its panel entry is hovered.
+export default function MapLocationPicker({
+  onAddParticipant,
+  onMoveParticipant,
+  onUpdateParticipant,
+  onRemoveParticipant,
+  selectedParticipants,
+  highlightedId = null,
+  countryColorByIso = {},
+  meetingInstant = null,
+  tileUrl = DEFAULT_TILE_URL,
+  tileAttribution = DEFAULT_TILE_ATTRIBUTION,
+}) {
   const mapRef = useRef(null);
   const leafletMap = useRef(null);
+  const countryLayer = useRef(null);
+  const nightLayer = useRef(null);
+  const zoneLayer = useRef(null);
+  const markers = useRef(new Map()); // Participant id -> marker, kept across renders
+  const closingPopup = useRef(false);
+  const participantsRef = useRef(selectedParticipants);
+  participantsRef.current = selectedParticipants;
+  const handlers = useRef({});
+  handlers.current = { onMove: onMoveParticipant, onUpdate: onUpdateParticipant, onRemove: onRemoveParticipant };
+  const colorsRef = useRef(countryColorByIso);
+  colorsRef.current = countryColorByIso;
+
+  const [now, setNow] = useState(() => Date.now());
+  const [previewInstant, setPreviewInstant] = useState(null); // null follows the clock
+  const instant = previewInstant ?? now;
+  const instantRef = useRef(instant);
+  instantRef.current = instant;
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Country style: participant countries highlighted, the rest plain land
+  // (or just borders over tiles)
+  const countryStyle = (feature) => {
+    const color = colorsRef.current[feature.properties['ISO3166-1-Alpha-2']];
+    if (color) return { color: BORDER_COLOR, weight: 1, fillColor: color, fillOpacity: 0.55 };
+    return { color: BORDER_COLOR, weight: 0.6, fillColor: LAND_COLOR, fillOpacity: tileUrl ? 0 : 1 };
+  };
 
   useEffect(() => {
     if (!leafletMap.current) {
@@ -59,36 +100,49 @@ export default function MapLocationPicker({ onAddParticipant, selectedParticipan
         worldCopyJump: true,
         minZoom: 2,
         maxZoom: 6,
-        attributionControl: false,
+        attributionControl: Boolean(tileUrl),
       });
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; OpenStreetMap contributors',
+      if (tileUrl) {
+        L.tileLayer(tileUrl, { attribution: tileAttribution }).addTo(leafletMap.current);
+      }
+      // Canvas keeps detailed borders fast; shapes pass clicks through to the map
+      countryLayer.current = L.geoJSON(countries, {
+        style: countryStyle,
+        interactive: false,
+        renderer: L.canvas(),
       }).addTo(leafletMap.current);
+
+      zoneLayer.current = createTimeZoneLayer();
+      nightLayer.current = createNightLayer(instantRef.current).addTo(leafletMap.current);
+      L.control.layers(null, { 'Time zones': zoneLayer.current, 'Day/night': nightLayer.current }, { position: 'bottomright' })
+        .addTo(leafletMap.current);
+
+      // Zone name and offset under the pointer while the zone overlay is on
+      const zoneTooltip = L.tooltip({ direction: 'right', offset: [12, 0] });
+      leafletMap.current.on('mousemove', (e) => {
+        const description = leafletMap.current.hasLayer(zoneLayer.current)
+          && describeZoneAt(e.latlng.lat, e.latlng.wrap().lng, instantRef.current);
+        if (description) {
+          zoneTooltip.setLatLng(e.latlng).setContent(description);
+          leafletMap.current.openTooltip(zoneTooltip);
+        } else {
+          leafletMap.current.closeTooltip(zoneTooltip);
+        }
+      });
+      leafletMap.current.on('mouseout overlayremove', () => leafletMap.current.closeTooltip(zoneTooltip));
+
+      // A click that just closes a marker popup should not add a participant
+      leafletMap.current.on('preclick', () => {
+        closingPopup.current = [...markers.current.values()].some(marker => marker.isPopupOpen());
+      });
     }
     leafletMap.current.zoomControl.remove();
 
     // Handle map click
     const handleClick = (e) => {
+      if (closingPopup.current) return;
       const { lat, lng } = e.latlng;
-      // Get country/region and timezone
-      const countryObj = getCountryRegionWithISO(lat, lng);
-      const timezone = getTimezone(lat, lng);
-      let tz = timezone || 'UTC';
-      let warning = '';
-      if (!timezone) {
-        warning = ' (Timezone could not be detected, using UTC)';
-      }
-      const now = DateTime.now().setZone(tz);
-      const participant = {
-        id: `${lat},${lng}`,
-        name: countryObj.name,
-        iso2: countryObj.iso2,
-        timezone: tz + warning,
-        time: now.toFormat('HH:mm, ccc'),
-        lat,
-        lng,
-      };
-      onAddParticipant(participant);
+      onAddParticipant(createParticipant(lat, lng));
     };
     leafletMap.current.on('click', handleClick);
     return () => {
@@ -96,30 +150,123 @@ export default function MapLocationPicker({ onAddParticipant, selectedParticipan
     };
   }, [onAddParticipant]);
 
-  // Show markers for selected participants
+  // Keep one marker per participant in sync and highlight their countries.
+  // Markers are updated in place, so one being dragged or with its popup open
+  // survives unrelated changes.
   useEffect(() => {
     if (!leafletMap.current) return;
-    // Remove all markers
-    leafletMap.current.eachLayer((layer) => {
-      if (layer instanceof L.Marker) {
-        leafletMap.current.removeLayer(layer);
+    if (countryLayer.current) countryLayer.current.setStyle(countryStyle);
+    const ids = new Set(selectedParticipants.map(p => p.id));
+    markers.current.forEach((marker, id) => {
+      if (!ids.has(id)) {
+        marker.remove();
+        markers.current.delete(id);
       }
     });
-    // Add markers for all selected participants
     selectedParticipants.forEach((p) => {
-      const marker = L.marker([p.lat, p.lng]).addTo(leafletMap.current);
-      marker.bindTooltip(
-        `<div><strong>${p.name}</strong><br/>${p.time}<br/><span style='font-size:0.8em;'>${p.timezone}</span></div>`,
-        { permanent: true, direction: 'top', className: 'leaflet-tooltip-own' }
-      );
+      let marker = markers.current.get(p.id);
+      if (!marker) {
+        marker = L.marker([p.lat, p.lng], { draggable: true, autoPan: true }).addTo(leafletMap.current);
+        marker.bindTooltip('', { permanent: true, direction: 'top', className: 'leaflet-tooltip-own' });
+        // Built on open, so it shows the participant as they are now
+        marker.bindPopup(() => {
+          const current = participantsRef.current.find(x => x.id === p.id);
+          return createMarkerPopup(current, {
+            onUpdate: (id, changes) => handlers.current.onUpdate(id, changes),
+            onRemove: id => handlers.current.onRemove(id),
+          });
+        }, { offset: [0, -30] });
+        marker.on('dragend', () => {
+          const { lat, lng } = marker.getLatLng().wrap();
+          handlers.current.onMove(p.id, lat, lng);
+        });
+        markers.current.set(p.id, marker);
+      }
+      marker.setLatLng([p.lat, p.lng]);
+      const time = moment(instant).tz(getParticipantTimezone(p)).format('HH:mm, ddd');
+      marker.setTooltipContent(getMarkerTooltipHtml(p, time));
+      const highlighted = p.id === highlightedId;
+      marker.setZIndexOffset(highlighted ? 1000 : 0);
+      L.DomUtil[highlighted ? 'addClass' : 'removeClass'](marker.getElement(), 'planner-marker-highlight');
+      L.DomUtil[highlighted ? 'addClass' : 'removeClass'](marker.getTooltip().getElement(), 'planner-marker-highlight');
     });
-  }, [selectedParticipants]);
+  }, [selectedParticipants, instant, highlightedId]);
+
+  useEffect(() => {
+    if (nightLayer.current) nightLayer.current.setInstant(instant);
+  }, [instant]);
+
+  // Add a searched city through the same path as a map click, and bring it into view
+  const handleSelectCity = (city) => {
+    onAddParticipant(createParticipant(city.lat, city.lng));
+    if (leafletMap.current) {
+      leafletMap.current.setView([city.lat, city.lng], Math.max(leafletMap.current.getZoom(), 4));
+    }
+  };
+
+  // Remote colleagues who only know their zone need no point on the map
+  const handleSelectZone = (zone) => {
+    const participant = createParticipantForZone(zone.name);
+    onAddParticipant(participant);
+    if (leafletMap.current) {
+      leafletMap.current.setView([participant.lat, participant.lng], leafletMap.current.getZoom());
+    }
+  };
+
+  // The slider works in the viewer's own time
+  const preview = moment(instant);
 
   return (
     <div className="w-full h-full rounded-xl overflow-hidden shadow-lg relative">
-      <div ref={mapRef} className="w-full h-full" style={{ minHeight: 500, minWidth: 500 }} />
-      <div className="absolute top-4 left-4 bg-white bg-opacity-80 rounded-lg px-4 py-2 shadow text-blue-900">
-        <span className="font-semibold">Click on the map to add a location</span>
+      <div ref={mapRef} className="w-full h-full" style={{ minHeight: 500, minWidth: 500, background: OCEAN_COLOR }} />
+      <div className="absolute top-4 left-4 z-[1000] space-y-2">
+        <div className="bg-white bg-opacity-80 rounded-lg px-4 py-2 shadow text-blue-900">
+          <span className="font-semibold">Click on the map, or search a city or time zone to add a location</span>
+        </div>
+        <CitySearch onSelect={handleSelectCity} />
+        <ZoneSearch onSelect={handleSelectZone} />
+      </div>
+      <div className="absolute bottom-4 left-4 z-[1000] bg-white bg-opacity-90 rounded-lg px-4 py-2 shadow text-sm text-blue-900 w-80">
+        <div className="flex items-center justify-between mb-1">
+          <span className="font-semibold">{previewInstant === null ? 'Now' : 'Preview'}: {preview.format('ddd D MMM, HH:mm')}</span>
+          <span className="text-xs text-gray-500">{moment(instant).utc().format('HH:mm')} UTC</span>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={24 * 60 - 15}
+          step={15}
+          value={preview.hours() * 60 + preview.minutes()}
+          onChange={e => setPreviewInstant(preview.clone().startOf('day').add(Number(e.target.value), 'minutes').valueOf())}
+          className="w-full"
+        />
+        <div className="flex items-center space-x-2 mt-1">
+          <input
+            type="date"
+            value={preview.format('YYYY-MM-DD')}
+            onChange={e => {
+              if (!e.target.value) return;
+              const day = moment(e.target.value, 'YYYY-MM-DD');
+              setPreviewInstant(day.add(preview.hours() * 60 + preview.minutes(), 'minutes').valueOf());
+            }}
+            className="border rounded px-1 text-xs"
+          />
+          <button
+            className="px-2 rounded bg-blue-100 text-blue-700 font-semibold hover:bg-blue-200 disabled:opacity-50"
+            onClick={() => setPreviewInstant(null)}
+            disabled={previewInstant === null}
+          >
+            Now
+          </button>
+          {meetingInstant !== null && (
+            <button
+              className="px-2 rounded bg-pink-100 text-pink-700 font-semibold hover:bg-pink-200"
+              onClick={() => setPreviewInstant(meetingInstant)}
+            >
+              Meeting slot
+            </button>
+          )}
+        </div>
       </div>
     </div>
   );
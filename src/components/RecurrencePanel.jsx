@@ -0,0 +1,112 @@
+import React from 'react';
+import { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } from '../utils/recurrence';
+import { getParticipantLabel } from '../utils/participants';
+
+const FREQUENCY_LABELS = { none: 'Does not repeat', weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly' };
+
+function formatShift(minutes) {
+  const sign = minutes > 0 ? '+' : '−';
+  const abs = Math.abs(minutes);
+  return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Recurrence editor plus a per-occurrence table of everyone's local time,
+// flagging occurrences outside someone's hours, clashing with their calendar,
+// on their holiday, or moved by DST
+export default function RecurrencePanel({ recurrence, onChange, series, tz }) {
+  const flagged = series.filter(o => o.entries.some(e => e.outsideWindow || e.busy || e.holiday || e.shiftMinutes !== 0)).length;
+  const firstDay = series.length > 0 ? series[0].instant.format('YYYY-MM-DD') : null;
+  const endsEarly = recurrence.endType === 'until' && recurrence.until && firstDay && recurrence.until < firstDay;
+
+  return (
+    <div className="w-full mt-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-blue-700">Repeat:</span>
+        <select
+          className="px-2 py-1 rounded border border-blue-200 bg-white text-blue-700"
+          value={recurrence.frequency}
+          onChange={e => onChange({ ...recurrence, frequency: e.target.value })}
+        >
+          {RECURRENCE_FREQUENCIES.map(f => (
+            <option key={f} value={f}>{FREQUENCY_LABELS[f]}</option>
+          ))}
+        </select>
+        {recurrence.frequency !== 'none' && (
+          <>
+            <select
+              className="px-2 py-1 rounded border border-blue-200 bg-white text-blue-700"
+              value={recurrence.endType}
+              onChange={e => onChange({ ...recurrence, endType: e.target.value })}
+            >
+              <option value="count">for</option>
+              <option value="until">until</option>
+            </select>
+            {recurrence.endType === 'count' ? (
+              <label className="text-sm">
+                <input
+                  type="number" min={1} max={MAX_OCCURRENCES}
+                  value={recurrence.count}
+                  onChange={e => onChange({ ...recurrence, count: Math.max(1, Number(e.target.value) || 1) })}
+                  className="w-16 border rounded px-1 mr-1"
+                />
+                occurrences
+              </label>
+            ) : (
+              <input
+                type="date"
+                min={firstDay || undefined}
+                value={recurrence.until || ''}
+                onChange={e => onChange({ ...recurrence, until: e.target.value || null })}
+                className={`border rounded px-1 ${endsEarly ? 'border-red-400' : ''}`}
+              />
+            )}
+            {endsEarly && (
+              <span className="text-sm text-red-500">Ends before the first meeting, so only that one is planned.</span>
+            )}
+          </>
+        )}
+      </div>
+      {recurrence.frequency !== 'none' && series.length > 0 && (
+        <div className="mt-3">
+          <div className={`text-sm mb-2 ${flagged > 0 ? 'text-red-500' : 'text-green-600'}`}>
+            {flagged > 0
+              ? `${flagged} of ${series.length} occurrences need attention.`
+              : `All ${series.length} occurrences work for everyone.`}
+          </div>
+          <div className="max-h-64 overflow-auto rounded border border-blue-100">
+            <table className="w-full text-xs">
+              <thead className="bg-blue-50 sticky top-0">
+                <tr>
+                  <th className="px-2 py-1 text-left">{tz}</th>
+                  {series[0].entries.map(e => (
+                    <th key={e.participant.id} className="px-2 py-1 text-left">{getParticipantLabel(e.participant)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {series.map(o => (
+                  <tr key={o.instant.valueOf()} className="border-t border-blue-50">
+                    <td className="px-2 py-1 font-mono whitespace-nowrap">{o.instant.format('ddd YYYY-MM-DD HH:mm')}</td>
+                    {o.entries.map(e => {
+                      const notes = [];
+                      if (e.outsideWindow) notes.push('outside hours');
+                      if (e.busy) notes.push('busy');
+                      if (e.holiday) notes.push('holiday');
+                      if (e.shiftMinutes !== 0) notes.push(`DST shift ${formatShift(e.shiftMinutes)}`);
+                      return (
+                        <td key={e.participant.id} className={`px-2 py-1 whitespace-nowrap ${notes.length > 0 ? 'bg-red-50 text-red-600' : ''}`}>
+                          <span className="font-mono">{e.local.format('ddd HH:mm')}</span>
+                          {notes.length > 0 && <div>{notes.join(', ')}</div>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useRef, useState } from 'react';
+import { importRoster, exportRosterCSV, exportRosterJSON } from '../utils/roster';
+import { getParticipantLabel } from '../utils/participants';
+import { downloadFile } from '../utils/download';
+
+// Bulk import of participants from a CSV/JSON roster, with a preview that
+// lists bad rows, plus export of the current participants in the same format
+export default function RosterPanel({ participants, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null); // { participants, errors } or { error }
+  const fileInput = useRef(null);
+
+  function read(content, filename) {
+    try {
+      setResult(importRoster(content, filename));
+    } catch (err) {
+      setResult({ error: err.message });
+    }
+  }
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(content => read(content, file.name), err => setResult({ error: err.message }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-[999999]">
+      <div className="bg-white rounded-xl shadow-lg p-6 w-[640px] max-h-[85vh] overflow-y-auto relative">
+        <button className="absolute top-2 right-2 text-gray-400 hover:text-red-500 text-2xl" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-bold mb-2">Roster</h3>
+        <div className="text-sm text-gray-600 mb-3">
+          Import participants from CSV or JSON with the columns <span className="font-mono">name, role, required, city, lat, lng, timezone, hours, weekend, region</span>.
+          Each row needs a city, coordinates or an IANA time zone; add the country to cities that share a name (<span className="font-mono">Victoria, CA</span>). Working hours are written like <span className="font-mono">9-17</span>.
+        </div>
+
+        <div className="flex items-center space-x-2 mb-2">
+          <button
+            className="px-3 py-1 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700"
+            onClick={() => fileInput.current.click()}
+          >
+            Choose file
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFile} />
+          <span className="text-sm text-gray-500">or paste below</span>
+        </div>
+        <textarea
+          value={text}
+          onChange={e => setText(e.target.value)}
+          placeholder={'name,city,timezone,hours\nAnna,Berlin,,9-17'}
+          rows={5}
+          className="w-full border rounded px-2 py-1 font-mono text-sm"
+        />
+        <button
+          className="mt-1 px-3 py-1 rounded bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 disabled:opacity-50"
+          onClick={() => read(text, '')}
+          disabled={!text.trim()}
+        >
+          Check pasted roster
+        </button>
+
+        {result && result.error && <div className="mt-3 text-sm text-red-500">{result.error}</div>}
+        {result && !result.error && (
+          <div className="mt-3">
+            <div className="text-sm font-semibold text-green-700">
+              {result.participants.length} participant{result.participants.length === 1 ? '' : 's'} ready
+              {result.errors.length > 0 && <span className="text-red-500">, {result.errors.length} row{result.errors.length === 1 ? '' : 's'} skipped</span>}
+            </div>
+            {result.participants.length > 0 && (
+              <div className="text-xs text-gray-600 mb-1">{result.participants.map(getParticipantLabel).join(', ')}</div>
+            )}
+            {result.errors.length > 0 && (
+              <ul className="text-xs text-red-600 max-h-32 overflow-y-auto mb-1">
+                {result.errors.map(e => (
+                  <li key={e.line}>Row {e.line}: {e.message}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex items-center space-x-2 mt-2">
+              <button
+                className="px-3 py-1 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:bg-gray-300"
+                onClick={() => onImport(result.participants, false)}
+                disabled={result.participants.length === 0}
+              >
+                Replace participants
+              </button>
+              <button
+                className="px-3 py-1 rounded bg-blue-100 text-blue-700 font-semibold hover:bg-blue-200 disabled:bg-gray-100 disabled:text-gray-400"
+                onClick={() => onImport(result.participants, true)}
+                disabled={result.participants.length === 0}
+              >
+                Add to participants
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-6 flex items-center space-x-2">
+          <button
+            className="px-3 py-1 rounded bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 disabled:opacity-50"
+            onClick={() => downloadFile(exportRosterCSV(participants), 'roster.csv', 'text/csv')}
+            disabled={participants.length === 0}
+          >
+            Export CSV
+          </button>
+          <button
+            className="px-3 py-1 rounded bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 disabled:opacity-50"
+            onClick={() => downloadFile(exportRosterJSON(participants), 'roster.json', 'application/json')}
+            disabled={participants.length === 0}
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useRef, useState } from 'react';
+import { addItem, renameItem, duplicateItem, deleteItem, exportSaved, importSaved } from '../utils/savedPlans';
+import { encodeParticipants, decodeParticipants } from '../utils/planUrl';
+import { downloadFile } from '../utils/download';
+
+// One list (groups or plans) with load/rename/duplicate/delete actions
+function SavedList({ items, kind, emptyText, renderActions, onChange, saved }) {
+  if (items.length === 0) return <div className="text-sm text-gray-400">{emptyText}</div>;
+  return (
+    <ul className="space-y-1">
+      {items.map(item => (
+        <li key={item.id} className="flex items-center justify-between bg-blue-50 rounded px-3 py-1">
+          <div>
+            <div className="font-medium text-blue-800">{item.name}</div>
+            <div className="text-xs text-gray-500">{new Date(item.updatedAt).toLocaleString()}</div>
+          </div>
+          <div className="flex items-center space-x-2 text-sm">
+            {renderActions(item)}
+            <button
+              className="text-blue-500 hover:text-blue-700"
+              onClick={() => {
+                const name = window.prompt('New name', item.name);
+                if (name && name.trim()) onChange(renameItem(saved, kind, item.id, name.trim()));
+              }}
+            >
+              Rename
+            </button>
+            <button className="text-blue-500 hover:text-blue-700" onClick={() => onChange(duplicateItem(saved, kind, item.id))}>Duplicate</button>
+            <button className="text-red-500 hover:text-red-700" onClick={() => onChange(deleteItem(saved, kind, item.id))}>Delete</button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Saved participant groups and plans, stored locally and movable as JSON
+export default function SavedPlansPanel({ saved, onChange, participants, planHash, onLoadParticipants, onLoadPlan, onClose }) {
+  const [groupName, setGroupName] = useState('');
+  const [planName, setPlanName] = useState('');
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const handleSaveGroup = () => {
+    onChange(addItem(saved, 'groups', { name: groupName.trim(), participants: encodeParticipants(participants) }));
+    setGroupName('');
+  };
+
+  const handleSavePlan = () => {
+    onChange(addItem(saved, 'plans', { name: planName.trim(), hash: planHash }));
+    setPlanName('');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const next = importSaved(saved, text);
+        const added = next.groups.length - saved.groups.length + next.plans.length - saved.plans.length;
+        onChange(next);
+        setImportMessage({ ok: true, text: `Imported ${added} item${added === 1 ? '' : 's'}.` });
+      } catch (err) {
+        setImportMessage({ ok: false, text: err.message });
+      }
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-[999999]">
+      <div className="bg-white rounded-xl shadow-lg p-6 w-[640px] max-h-[85vh] overflow-y-auto relative">
+        <button className="absolute top-2 right-2 text-gray-400 hover:text-red-500 text-2xl" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-bold mb-4">Saved Groups & Plans</h3>
+
+        <h4 className="font-semibold text-blue-700 mb-2">Participant groups</h4>
+        <div className="flex items-center space-x-2 mb-2">
+          <input
+            type="text"
+            value={groupName}
+            onChange={e => setGroupName(e.target.value)}
+            placeholder='Group name, e.g. "Platform team"'
+            className="flex-1 px-2 py-1 border rounded"
+          />
+          <button
+            className="px-3 py-1 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:bg-gray-300"
+            onClick={handleSaveGroup}
+            disabled={!groupName.trim() || participants.length === 0}
+          >
+            Save current participants
+          </button>
+        </div>
+        <SavedList
+          items={saved.groups}
+          kind="groups"
+          saved={saved}
+          onChange={onChange}
+          emptyText="No saved groups yet."
+          renderActions={group => (
+            <>
+              <button className="text-blue-700 font-semibold hover:text-blue-900" onClick={() => onLoadParticipants(decodeParticipants(group.participants), false)}>Load</button>
+              <button className="text-blue-700 font-semibold hover:text-blue-900" onClick={() => onLoadParticipants(decodeParticipants(group.participants), true)} title="Add to the current participants">Add</button>
+            </>
+          )}
+        />
+
+        <h4 className="font-semibold text-blue-700 mt-6 mb-2">Plans</h4>
+        <div className="flex items-center space-x-2 mb-2">
+          <input
+            type="text"
+            value={planName}
+            onChange={e => setPlanName(e.target.value)}
+            placeholder='Plan name, e.g. "Weekly EMEA sync"'
+            className="flex-1 px-2 py-1 border rounded"
+          />
+          <button
+            className="px-3 py-1 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:bg-gray-300"
+            onClick={handleSavePlan}
+            disabled={!planName.trim()}
+          >
+            Save current plan
+          </button>
+        </div>
+        <SavedList
+          items={saved.plans}
+          kind="plans"
+          saved={saved}
+          onChange={onChange}
+          emptyText="No saved plans yet."
+          renderActions={plan => (
+            <button className="text-blue-700 font-semibold hover:text-blue-900" onClick={() => onLoadPlan(plan.hash)}>Load</button>
+          )}
+        />
+
+        <div className="mt-6 flex items-center space-x-2">
+          <button
+            className="px-3 py-1 rounded bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300"
+            onClick={() => downloadFile(exportSaved(saved), 'meeting-planner-saved.json', 'application/json')}
+          >
+            Export JSON
+          </button>
+          <button
+            className="px-3 py-1 rounded bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300"
+            onClick={() => fileInput.current.click()}
+          >
+            Import JSON
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+          {importMessage && (
+            <span className={`text-sm ${importMessage.ok ? 'text-green-600' : 'text-red-500'}`}>{importMessage.text}</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
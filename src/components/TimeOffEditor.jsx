@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { formatBlock, isValidBlock } from '../utils/timeOff';
+
+// List of blocked dates or date ranges with a small form to add more
+export default function TimeOffEditor({ blocks, onChange, placeholder = 'Label' }) {
+  const [draft, setDraft] = useState({ start: '', end: '', label: '' });
+  const block = { start: draft.start, end: draft.end || draft.start, label: draft.label.trim() };
+
+  function handleAdd() {
+    onChange([...blocks, block].sort((a, b) => a.start.localeCompare(b.start)));
+    setDraft({ start: '', end: '', label: '' });
+  }
+
+  return (
+    <div className="text-xs">
+      {blocks.length > 0 && (
+        <ul className="mb-1 space-y-0.5">
+          {blocks.map((b, idx) => (
+            <li key={`${b.start}-${b.end}-${idx}`} className="flex items-center justify-between bg-purple-50 rounded px-1">
+              <span>
+                <span className="font-mono">{formatBlock(b)}</span>
+                {b.label && <span className="text-gray-600"> {b.label}</span>}
+              </span>
+              <button className="ml-1 text-red-500 hover:text-red-700" onClick={() => onChange(blocks.filter((_, i) => i !== idx))} title="Remove">&times;</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-1">
+        <input type="date" value={draft.start} onChange={e => setDraft({ ...draft, start: e.target.value })} className="border rounded px-1" title="First day" />
+        <input type="date" value={draft.end} min={draft.start || undefined} onChange={e => setDraft({ ...draft, end: e.target.value })} className="border rounded px-1" title="Last day (optional)" />
+        <input type="text" value={draft.label} onChange={e => setDraft({ ...draft, label: e.target.value })} placeholder={placeholder} className="w-24 border rounded px-1" />
+        <button
+          className="px-2 rounded bg-purple-100 text-purple-800 font-semibold hover:bg-purple-200 disabled:opacity-50"
+          onClick={handleAdd}
+          disabled={!isValidBlock(block)}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useRef, useState } from 'react';
+import { formatSlot, getParticipantTimezone } from '../utils/availability';
+import { getParticipantLabel } from '../utils/participants';
+import { getTimelineRow } from '../utils/timeline';
+
+const KIND_COLORS = { working: '#34d399', awake: '#bfdbfe', night: '#1e293b' };
+
+// Stacked timelines, one row per participant, aligned on the same instants of
+// the selected day in tz. Dragging (or clicking) moves the cursor, which
+// selects the slot under it.
+export default function TimelineRibbon({ date, tz, participants, defaults, step, selectedSlot, onSelect }) {
+  const trackRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const rows = participants.map(p => ({ participant: p, cells: getTimelineRow(date, tz, p, defaults) }));
+
+  function selectAt(clientX) {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 0.9999);
+    onSelect(Math.floor((fraction * 24 * 60) / step) * step);
+  }
+
+  const cursorLeft = selectedSlot !== null ? `${(selectedSlot / (24 * 60)) * 100}%` : null;
+
+  return (
+    <div className="w-full mb-2 text-xs">
+      <div className="flex">
+        <div className="w-32 shrink-0 text-gray-500 truncate">{tz}</div>
+        <div className="relative flex-1 h-4 text-gray-500">
+          {[0, 6, 12, 18].map(h => (
+            <span key={h} className="absolute" style={{ left: `${(h / 24) * 100}%` }}>{h}:00</span>
+          ))}
+        </div>
+        <div className="w-14 shrink-0" />
+      </div>
+      <div className="flex">
+        <div className="w-32 shrink-0">
+          {rows.map(({ participant }) => (
+            <div key={participant.id} className="h-7 pr-2 flex flex-col justify-center truncate" title={getParticipantTimezone(participant)}>
+              <span className="font-semibold text-gray-800 truncate">{getParticipantLabel(participant)}</span>
+            </div>
+          ))}
+        </div>
+        <div
+          ref={trackRef}
+          className="relative flex-1 cursor-ew-resize select-none touch-none"
+          onPointerDown={e => {
+            e.currentTarget.setPointerCapture(e.pointerId);
+            setDragging(true);
+            selectAt(e.clientX);
+          }}
+          onPointerMove={e => dragging && selectAt(e.clientX)}
+          onPointerUp={() => setDragging(false)}
+          onPointerCancel={() => setDragging(false)}
+        >
+          {rows.map(({ participant, cells }) => (
+            <div key={participant.id} className="relative flex h-7 border-b border-white">
+              {cells.map(cell => (
+                <div
+                  key={cell.m}
+                  className="h-full"
+                  style={{
+                    width: `${100 / cells.length}%`,
+                    backgroundColor: KIND_COLORS[cell.kind],
+                    borderLeft: cell.dateChange ? '2px solid #ec4899' : undefined,
+                  }}
+                  title={`${cell.local.format('ddd HH:mm')} (${cell.kind})`}
+                />
+              ))}
+              {/* Local hour labels every 3 hours, and the new local date at midnight */}
+              {cells.filter(cell => cell.m % 180 === 0 || cell.dateChange).map(cell => (
+                <span
+                  key={`label-${cell.m}`}
+                  className={`absolute top-0.5 pl-0.5 pointer-events-none ${cell.kind === 'night' ? 'text-gray-200' : 'text-gray-700'} ${cell.dateChange ? 'font-bold text-pink-500' : ''}`}
+                  style={{ left: `${(cell.m / (24 * 60)) * 100}%` }}
+                >
+                  {cell.dateChange ? cell.local.format('ddd D') : cell.local.format('HH:mm')}
+                </span>
+              ))}
+            </div>
+          ))}
+          {cursorLeft && (
+            <div className="absolute top-0 bottom-0 w-0.5 bg-pink-500 pointer-events-none" style={{ left: cursorLeft }}>
+              <span className="absolute -top-4 -translate-x-1/2 px-1 rounded bg-pink-500 text-white">{formatSlot(selectedSlot)}</span>
+            </div>
+          )}
+        </div>
+        {/* Everyone's local time at the cursor */}
+        <div className="w-14 shrink-0">
+          {rows.map(({ participant, cells }) => {
+            const cell = selectedSlot !== null && cells.find(c => c.m === selectedSlot);
+            return (
+              <div key={participant.id} className="h-7 pl-2 flex items-center font-mono text-pink-600">
+                {cell ? cell.local.format('HH:mm') : ''}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="flex gap-3 mt-1 text-gray-500">
+        {Object.entries(KIND_COLORS).map(([kind, color]) => (
+          <span key={kind} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+            {kind}
+          </span>
+        ))}
+        <span className="flex items-center gap-1"><span className="inline-block w-0.5 h-3 bg-pink-500" /> local midnight</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { ZONE_NAMES, getBrowserTimezone } from '../utils/zones';
+
+// Zone selector for the calendar: participants' zones first, then this
+// browser's zone and UTC, then every other IANA zone
+export default function TimezoneSelect({ value, onChange, participantZones, className }) {
+  const browserTz = getBrowserTimezone();
+  const local = [browserTz, 'UTC'].filter((tz, idx, list) => !participantZones.includes(tz) && list.indexOf(tz) === idx);
+  const rest = ZONE_NAMES.filter(tz => !participantZones.includes(tz) && !local.includes(tz));
+  // A zone from an older link may not be in any list, keep it selectable
+  const unlisted = [value].filter(tz => !participantZones.includes(tz) && !local.includes(tz) && !rest.includes(tz));
+
+  return (
+    <select className={className} value={value} onChange={e => onChange(e.target.value)}>
+      {participantZones.length > 0 && (
+        <optgroup label="Participants">
+          {participantZones.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+        </optgroup>
+      )}
+      <optgroup label="Local">
+        {local.map(tz => <option key={tz} value={tz}>{tz === browserTz ? `${tz} (this browser)` : tz}</option>)}
+      </optgroup>
+      <optgroup label="All time zones">
+        {unlisted.concat(rest).map(tz => <option key={tz} value={tz}>{tz}</option>)}
+      </optgroup>
+    </select>
+  );
+}
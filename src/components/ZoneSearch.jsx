@@ -0,0 +1,25 @@
+import React from 'react';
+import Autocomplete from './Autocomplete';
+import { searchZones } from '../utils/zones';
+
+// Autocomplete over every IANA zone by name, country, abbreviation or UTC
+// offset; calls onSelect(zone) with { name, offset, offsetLabel, abbr, countries }
+export default function ZoneSearch({ onSelect }) {
+  return (
+    <Autocomplete
+      search={searchZones}
+      getKey={zone => zone.name}
+      renderItem={zone => (
+        <>
+          <div className="font-medium text-blue-800">{zone.name}</div>
+          <div className="text-xs text-gray-500">
+            {zone.offsetLabel}{zone.abbr && ` · ${zone.abbr}`}{zone.countries.length > 0 && ` · ${zone.countries.join(', ')}`}
+          </div>
+        </>
+      )}
+      onSelect={onSelect}
+      placeholder="Or a time zone, e.g. America/Denver or +5:30"
+      label="Search a time zone"
+    />
+  );
+}
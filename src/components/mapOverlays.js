@@ -0,0 +1,82 @@
+import L from 'leaflet';
+import moment from 'moment-timezone';
+import { getTimezone } from '../utils/locations';
+import { getNightPolygon } from '../utils/solar';
+import { formatOffset } from '../utils/zones';
+
+// Size in pixels of the blocks the zone overlay samples; smaller is sharper
+// but costs a zone lookup per block
+const ZONE_BLOCK = 4;
+
+// Stable pastel colour per zone name
+function zoneColor(name) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) | 0;
+  return `hsla(${Math.abs(hash) % 360}, 70%, 60%, 0.35)`;
+}
+
+// Zones on land; the open sea only has nautical Etc/GMT zones, which stay blank
+function landZoneAt(lat, lng) {
+  const tz = getTimezone(lat, lng);
+  return tz && !tz.startsWith('Etc/') ? tz : null;
+}
+
+// Time-zone areas and borders drawn per tile from tz-lookup, the same data
+// that assigns participants their zone, so nothing extra has to be bundled
+export function createTimeZoneLayer() {
+  const ZoneLayer = L.GridLayer.extend({
+    createTile(coords) {
+      const tile = document.createElement('canvas');
+      const size = this.getTileSize();
+      tile.width = size.x;
+      tile.height = size.y;
+      const ctx = tile.getContext('2d');
+      const columns = Math.ceil(size.x / ZONE_BLOCK);
+      const rows = Math.ceil(size.y / ZONE_BLOCK);
+      const origin = coords.scaleBy(size);
+      // One extra row and column so borders on the tile edge are found too
+      const zones = [];
+      for (let r = 0; r <= rows; r++) {
+        zones.push([]);
+        for (let c = 0; c <= columns; c++) {
+          const { lat, lng } = this._map.unproject(origin.add([c * ZONE_BLOCK + ZONE_BLOCK / 2, r * ZONE_BLOCK + ZONE_BLOCK / 2]), coords.z).wrap();
+          zones[r].push(Math.abs(lat) > 85 ? null : landZoneAt(lat, lng));
+        }
+      }
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+          const tz = zones[r][c];
+          if (!tz) continue;
+          ctx.fillStyle = zoneColor(tz);
+          ctx.fillRect(c * ZONE_BLOCK, r * ZONE_BLOCK, ZONE_BLOCK, ZONE_BLOCK);
+          ctx.fillStyle = 'rgba(30, 41, 59, 0.6)';
+          if (zones[r][c + 1] !== tz) ctx.fillRect((c + 1) * ZONE_BLOCK - 1, r * ZONE_BLOCK, 1, ZONE_BLOCK);
+          if (zones[r + 1][c] !== tz) ctx.fillRect(c * ZONE_BLOCK, (r + 1) * ZONE_BLOCK - 1, ZONE_BLOCK, 1);
+        }
+      }
+      return tile;
+    },
+  });
+  return new ZoneLayer({ pane: 'overlayPane', updateWhenZooming: false });
+}
+
+// Zone name, offset and abbreviation under a point at an instant, or null
+export function describeZoneAt(lat, lng, instant) {
+  const tz = landZoneAt(lat, lng);
+  if (!tz) return null;
+  const local = moment(instant).tz(tz);
+  const abbr = local.format('z');
+  return `<strong>${tz}</strong><br/>${formatOffset(local.utcOffset())}${/^[+-]/.test(abbr) ? '' : ` · ${abbr}`} · ${local.format('HH:mm, ddd')}`;
+}
+
+// Night side of the earth at an instant; call setInstant to move it
+export function createNightLayer(instant) {
+  const layer = L.polygon(getNightPolygon(instant), {
+    stroke: false,
+    fillColor: '#0f172a',
+    fillOpacity: 0.3,
+    interactive: false,
+  });
+  layer.setInstant = next => layer.setLatLngs(getNightPolygon(next));
+  return layer;
+}
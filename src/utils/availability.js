@@ -0,0 +1,138 @@
+import moment from 'moment-timezone';
+import { getRequiredParticipants, isRequired } from './participants';
+
+// Supported slot granularities in minutes
+export const SLOT_STEPS = [15, 30, 60];
+
+// Meeting lengths the planner accepts, in minutes; the duration input and plan
+// links both go through clampDuration so a shared plan keeps its length
+export const MEETING_DURATION = { min: 15, max: 720, step: 5 };
+
+export function clampDuration(value) {
+  const minutes = Math.round(Number(value) / MEETING_DURATION.step) * MEETING_DURATION.step;
+  if (!isFinite(minutes)) return MEETING_DURATION.min;
+  return Math.min(Math.max(minutes, MEETING_DURATION.min), MEETING_DURATION.max);
+}
+
+// Every UTC offset in use is a multiple of 15 minutes, so checking a meeting at
+// this interval (plus its last minute) catches any window boundary it crosses
+const INTERVAL_CHECK_MINUTES = 15;
+
+// Participant timezones may carry a warning suffix, e.g. "UTC (Timezone could not be detected, using UTC)"
+export function getParticipantTimezone(participant) {
+  return participant.timezone.split(' ')[0];
+}
+
+// A participant's own availability window, falling back to the global default
+export function getAvailabilityWindow(participant, defaults) {
+  return participant.availability || defaults;
+}
+
+// Whether a local minute of the day is inside a window of whole hours. Windows
+// with start > end wrap past midnight (e.g. 22-6 for a night shift).
+export function isMinuteInWindow(minuteOfDay, { start, end }) {
+  const from = start * 60;
+  const to = end * 60;
+  if (from <= to) return minuteOfDay >= from && minuteOfDay < to;
+  return minuteOfDay >= from || minuteOfDay < to;
+}
+
+// Minutes since local midnight, so half/quarter-hour offsets (India, Nepal,
+// Newfoundland) are classified exactly rather than by the hour they fall in
+export function getLocalMinuteOfDay(instant, tz) {
+  const local = instant.clone().tz(tz);
+  return local.hour() * 60 + local.minute();
+}
+
+// Whether the participant is inside their window for the whole meeting
+// [instant, instant + durationMinutes). A duration of 0 only checks the start.
+export function isWithinWindowThroughout(instant, durationMinutes, participant, defaults) {
+  const tz = getParticipantTimezone(participant);
+  const window = getAvailabilityWindow(participant, defaults);
+  return getMeetingCheckpoints(durationMinutes)
+    .every(m => isMinuteInWindow(getLocalMinuteOfDay(instant.clone().add(m, 'minutes'), tz), window));
+}
+
+// Minutes into a meeting at which a window is checked
+export function getMeetingCheckpoints(durationMinutes) {
+  const checks = [0];
+  for (let m = INTERVAL_CHECK_MINUTES; m < durationMinutes; m += INTERVAL_CHECK_MINUTES) checks.push(m);
+  if (durationMinutes > 1) checks.push(durationMinutes - 1);
+  return checks;
+}
+
+// Whether the meeting overlaps one of the participant's imported busy blocks
+// ({ start, end } in epoch ms, sorted). A duration of 0 checks the start minute.
+export function isBusyDuring(instant, durationMinutes, participant) {
+  if (!participant.busy || participant.busy.length === 0) return false;
+  const start = instant.valueOf();
+  const end = start + Math.max(durationMinutes, 1) * 60000;
+  // Binary search for the first block ending after the meeting starts
+  let lo = 0;
+  let hi = participant.busy.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (participant.busy[mid].end <= start) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < participant.busy.length && participant.busy[lo].start < end;
+}
+
+// Whether the participant can attend the whole meeting: inside their window
+// and not busy with something else
+export function isAvailableThroughout(instant, durationMinutes, participant, defaults) {
+  return isWithinWindowThroughout(instant, durationMinutes, participant, defaults)
+    && !isBusyDuring(instant, durationMinutes, participant);
+}
+
+// Participants who are available for a meeting starting at the given instant,
+// each judged by their own window
+export function getAvailableParticipants(instant, participants, defaults, durationMinutes = 0) {
+  return participants.filter(p => isAvailableThroughout(instant, durationMinutes, p, defaults));
+}
+
+// The instant of a slot: the calendar day of date (as picked in the calendar)
+// at the given minutes past midnight, interpreted in tz
+export function getSlotInstant(date, minuteOfDay, tz) {
+  return moment.tz(moment(date).format('YYYY-MM-DD'), 'YYYY-MM-DD', tz)
+    .hour(Math.floor(minuteOfDay / 60))
+    .minute(minuteOfDay % 60)
+    .second(0);
+}
+
+// Start minutes of every slot in a day for the given step
+export function getDaySlots(step) {
+  const slots = [];
+  for (let m = 0; m < 24 * 60; m += step) slots.push(m);
+  return slots;
+}
+
+export function formatSlot(minuteOfDay) {
+  const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const mm = String(minuteOfDay % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+// Who can make a meeting at instant: whether every required participant can,
+// and how many of the optional ones can
+export function getSlotAttendance(instant, participants, defaults, durationMinutes = 0) {
+  const available = getAvailableParticipants(instant, participants, defaults, durationMinutes);
+  const required = participants.filter(isRequired);
+  const optional = participants.filter(p => !isRequired(p));
+  return {
+    available,
+    allRequired: participants.length > 0 && required.every(p => available.includes(p)),
+    optionalAvailable: optional.filter(p => available.includes(p)).length,
+    optionalTotal: optional.length,
+  };
+}
+
+// Calculate all slots in a day when all required participants are awake for
+// the whole meeting (slot starts in the given timezone)
+export function getCommonAwakeSlots(date, tz, participants, defaults, step, durationMinutes = 0) {
+  if (participants.length === 0) return [];
+  const required = getRequiredParticipants(participants);
+  return getDaySlots(step).filter(m =>
+    getAvailableParticipants(getSlotInstant(date, m, tz), required, defaults, durationMinutes).length === required.length
+  );
+}
@@ -0,0 +1,50 @@
+import moment from 'moment-timezone';
+import { getParticipantTimezone } from './availability';
+import { isWeekendFor } from './workWeek';
+
+// Calendar days are days of the calendar's time zone. Each participant's day
+// is judged by their own local date at the middle of that calendar day, so
+// someone across the date line is classified by the date they are living then.
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Date key of a day as picked in the calendar (a local Date) or a 'YYYY-MM-DD' key
+export function getDayKey(day) {
+  return typeof day === 'string' ? day : moment(day).format(DATE_FORMAT);
+}
+
+// The middle of a calendar day in calendarTz; days around DST changes last 23 or 25 hours
+export function getDayMidpoint(day, calendarTz) {
+  const start = moment.tz(getDayKey(day), DATE_FORMAT, calendarTz);
+  const end = start.clone().add(1, 'day');
+  return moment(start.valueOf() + (end.valueOf() - start.valueOf()) / 2);
+}
+
+// A participant's local date and weekday (0 = Sunday) during a calendar day
+export function getParticipantDate(day, calendarTz, participant) {
+  const local = getDayMidpoint(day, calendarTz).tz(getParticipantTimezone(participant));
+  return { date: local.format(DATE_FORMAT), weekday: local.day() };
+}
+
+// Whether a calendar day is a weekend, a day off and a workday for one
+// participant. isOff(participant, 'YYYY-MM-DD') reports holidays and time off
+// on their local date.
+export function classifyParticipantDay(day, calendarTz, participant, isOff) {
+  const { date, weekday } = getParticipantDate(day, calendarTz, participant);
+  const weekend = isWeekendFor(participant, weekday);
+  const off = Boolean(isOff(participant, date));
+  return { date, weekday, weekend, off, workday: !weekend && !off };
+}
+
+export function isCommonWeekend(day, calendarTz, participants) {
+  return participants.every(p => classifyParticipantDay(day, calendarTz, p, () => false).weekend);
+}
+
+// Holidays only come with a country, so participants without one don't count
+export function isCommonHoliday(day, calendarTz, participants, isOff) {
+  return participants.filter(p => p.iso2).every(p => classifyParticipantDay(day, calendarTz, p, isOff).off);
+}
+
+export function isCommonWorkday(day, calendarTz, participants, isOff) {
+  return participants.every(p => classifyParticipantDay(day, calendarTz, p, isOff).workday);
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDayKey,
+  getDayMidpoint,
+  getParticipantDate,
+  classifyParticipantDay,
+  isCommonWeekend,
+  isCommonHoliday,
+  isCommonWorkday,
+} from './dayClassification';
+
+const participant = (timezone, iso2, extra = {}) => ({ id: timezone, name: timezone, timezone, iso2, ...extra });
+
+const kiritimati = participant('Pacific/Kiritimati', 'KI'); // UTC+14
+const pagoPago = participant('Pacific/Pago_Pago', 'AS'); // UTC-11
+const auckland = participant('Pacific/Auckland', 'NZ'); // UTC+12/+13
+const losAngeles = participant('America/Los_Angeles', 'US');
+const tokyo = participant('Asia/Tokyo', 'JP');
+const riyadh = participant('Asia/Riyadh', 'SA'); // Friday-Saturday weekend
+
+// Holidays by country on local dates
+const holidays = {
+  NZ: ['2025-12-25', '2025-12-26'],
+  US: ['2025-12-25'],
+  JP: ['2025-01-01'],
+};
+const isOff = (p, date) => (holidays[p.iso2] || []).includes(date);
+
+describe('getDayKey', () => {
+  it('keeps date keys', () => {
+    expect(getDayKey('2025-07-04')).toBe('2025-07-04');
+  });
+
+  it('uses the local calendar date of a picked day, not its UTC date', () => {
+    expect(getDayKey(new Date(2025, 6, 4))).toBe('2025-07-04');
+  });
+});
+
+describe('getDayMidpoint', () => {
+  it('is noon on ordinary days', () => {
+    expect(getDayMidpoint('2025-07-04', 'Asia/Tokyo').toISOString()).toBe('2025-07-04T03:00:00.000Z');
+  });
+
+  it('splits 23 and 25 hour days around DST changes', () => {
+    // Berlin springs forward on 30 March 2025: 23:00Z to 22:00Z
+    expect(getDayMidpoint('2025-03-30', 'Europe/Berlin').toISOString()).toBe('2025-03-30T10:30:00.000Z');
+    // and falls back on 26 October 2025: 22:00Z to 23:00Z
+    expect(getDayMidpoint('2025-10-26', 'Europe/Berlin').toISOString()).toBe('2025-10-26T10:30:00.000Z');
+  });
+});
+
+describe('getParticipantDate across the date line', () => {
+  it('puts zones east of the line a day ahead of a calendar west of it', () => {
+    expect(getParticipantDate('2025-07-04', 'Pacific/Pago_Pago', kiritimati)).toEqual({ date: '2025-07-05', weekday: 6 });
+    expect(getParticipantDate('2025-07-04', 'Pacific/Pago_Pago', pagoPago)).toEqual({ date: '2025-07-04', weekday: 5 });
+  });
+
+  it('puts zones west of the line a day behind a calendar east of it', () => {
+    expect(getParticipantDate('2025-07-05', 'Pacific/Kiritimati', pagoPago)).toEqual({ date: '2025-07-04', weekday: 5 });
+    expect(getParticipantDate('2025-07-05', 'Pacific/Kiritimati', kiritimati)).toEqual({ date: '2025-07-05', weekday: 6 });
+  });
+
+  it('keeps the calendar date for zones close to the calendar', () => {
+    expect(getParticipantDate('2025-12-25', 'UTC', losAngeles).date).toBe('2025-12-25');
+    expect(getParticipantDate('2025-12-25', 'UTC', tokyo).date).toBe('2025-12-25');
+  });
+
+  it('ignores a warning appended to the participant zone', () => {
+    const undetected = participant('UTC (Timezone could not be detected, using UTC)', '');
+    expect(getParticipantDate('2025-07-04', 'Pacific/Kiritimati', undetected).date).toBe('2025-07-03');
+  });
+});
+
+describe('classifyParticipantDay', () => {
+  it('marks the weekend on the participant\'s local weekday', () => {
+    // Friday in Pago Pago is already Saturday in Kiritimati
+    expect(classifyParticipantDay('2025-07-04', 'Pacific/Pago_Pago', kiritimati, isOff)).toMatchObject({ weekend: true, workday: false });
+    expect(classifyParticipantDay('2025-07-04', 'Pacific/Pago_Pago', pagoPago, isOff)).toMatchObject({ weekend: false, workday: true });
+  });
+
+  it('follows country and personal work weeks', () => {
+    // Friday 4 July 2025 in UTC is a Friday in Riyadh too
+    expect(classifyParticipantDay('2025-07-04', 'UTC', riyadh, isOff).weekend).toBe(true);
+    expect(classifyParticipantDay('2025-07-06', 'UTC', riyadh, isOff).workday).toBe(true);
+    const sundayOff = { ...riyadh, weekendDays: [0] };
+    expect(classifyParticipantDay('2025-07-04', 'UTC', sundayOff, isOff).workday).toBe(true);
+  });
+
+  it('finds holidays on the participant\'s local date', () => {
+    // Christmas in Auckland starts on 24 December in UTC
+    expect(classifyParticipantDay('2025-12-24', 'UTC', auckland, isOff)).toMatchObject({ date: '2025-12-25', off: true, workday: false });
+    expect(classifyParticipantDay('2025-12-26', 'UTC', auckland, isOff)).toMatchObject({ date: '2025-12-27', off: false });
+    // Los Angeles is still on the calendar date
+    expect(classifyParticipantDay('2025-12-24', 'UTC', losAngeles, isOff).off).toBe(false);
+    expect(classifyParticipantDay('2025-12-25', 'UTC', losAngeles, isOff).off).toBe(true);
+  });
+
+  it('does not shift holidays for a calendar east of UTC', () => {
+    expect(classifyParticipantDay('2025-01-01', 'Asia/Tokyo', tokyo, isOff).off).toBe(true);
+    expect(classifyParticipantDay('2024-12-31', 'Asia/Tokyo', tokyo, isOff).off).toBe(false);
+    expect(classifyParticipantDay('2025-01-02', 'Asia/Tokyo', tokyo, isOff).off).toBe(false);
+  });
+});
+
+describe('common days', () => {
+  const team = [auckland, losAngeles];
+
+  it('needs every participant to be off for a common holiday', () => {
+    // In UTC, Auckland's Christmas falls on 24 December and Boxing Day on the 25th
+    expect(isCommonHoliday('2025-12-24', 'UTC', team, isOff)).toBe(false);
+    expect(isCommonHoliday('2025-12-25', 'UTC', team, isOff)).toBe(true);
+    // Seen from Auckland, Los Angeles is still on 24 December on the 25th
+    expect(isCommonHoliday('2025-12-25', 'Pacific/Auckland', team, isOff)).toBe(false);
+    expect(isCommonHoliday('2025-12-26', 'Pacific/Auckland', team, isOff)).toBe(true);
+  });
+
+  it('ignores participants without a country for holidays', () => {
+    const remote = participant('Etc/GMT+5', '');
+    expect(isCommonHoliday('2025-12-26', 'Pacific/Auckland', [...team, remote], isOff)).toBe(true);
+    expect(isCommonWorkday('2025-12-26', 'Pacific/Auckland', [remote], isOff)).toBe(true);
+  });
+
+  it('finds common weekends and workdays across the date line', () => {
+    const pair = [kiritimati, pagoPago];
+    // Saturday in Kiritimati is Friday in Pago Pago
+    expect(isCommonWeekend('2025-07-05', 'Pacific/Kiritimati', pair)).toBe(false);
+    expect(isCommonWeekend('2025-07-06', 'Pacific/Kiritimati', pair)).toBe(true);
+    expect(isCommonWorkday('2025-07-04', 'Pacific/Kiritimati', pair, isOff)).toBe(true);
+    expect(isCommonWorkday('2025-07-05', 'Pacific/Kiritimati', pair, isOff)).toBe(false);
+  });
+});
@@ -0,0 +1,166 @@
+import moment from 'moment-timezone';
+import {
+  getAvailabilityWindow,
+  getDaySlots,
+  getLocalMinuteOfDay,
+  getMeetingCheckpoints,
+  getParticipantTimezone,
+  getSlotInstant,
+  isBusyDuring,
+  isMinuteInWindow,
+  isWithinWindowThroughout,
+} from './availability';
+import { getInconvenience } from './suggestions';
+import { isRequired } from './participants';
+
+// Local hours a rotation may ask of a required participant when no slot fits
+// everyone's own hours; slots outside this are only used when nothing else is left
+export const ACCEPTABLE_WINDOW = { start: 6, end: 23 };
+
+// Extra cost, in hours of inconvenience, for each required participant a slot
+// leaves out (outside their own hours, busy or on a local holiday). Counting
+// it per person lets a rotation take turns over who is left out.
+export const MISS_PENALTY = 2;
+
+const DAY_MINUTES = 24 * 60;
+
+export function getParticipantInconvenience(instant, participant) {
+  return getInconvenience(getLocalMinuteOfDay(instant, getParticipantTimezone(participant)));
+}
+
+// Accumulated inconvenience per participant id over a list of start instants
+export function tallyInconvenience(instants, participants) {
+  const tally = Object.fromEntries(participants.map(p => [p.id, 0]));
+  instants.forEach(instant => {
+    participants.forEach(p => {
+      tally[p.id] += getParticipantInconvenience(instant, p);
+    });
+  });
+  return tally;
+}
+
+// What each slot of a day means for every participant: its inconvenience,
+// whether it is inside their own hours and ACCEPTABLE_WINDOW, and how many
+// days their local date is ahead of (or behind) the calendar day
+function describeSlot(localMinute, dayShift, participant, defaults, inWindow) {
+  return {
+    pain: getInconvenience(localMinute),
+    inWindow: inWindow ?? isMinuteInWindow(localMinute, getAvailabilityWindow(participant, defaults)),
+    acceptable: isMinuteInWindow(localMinute, ACCEPTABLE_WINDOW),
+    dayShift,
+  };
+}
+
+// Any day's pattern, clock changes included, worked out slot by slot
+function getDayPattern(date, tz, participants, defaults, step, durationMinutes) {
+  const dayStart = getSlotInstant(date, 0, tz);
+  const calendarDay = moment.utc(dayStart.format('YYYY-MM-DD'));
+  return getDaySlots(step).map(slot => {
+    const instant = getSlotInstant(date, slot, tz);
+    return {
+      slot,
+      offset: instant.valueOf() - dayStart.valueOf(),
+      people: participants.map(p => {
+        const local = instant.clone().tz(getParticipantTimezone(p));
+        const dayShift = moment.utc(local.format('YYYY-MM-DD')).diff(calendarDay, 'days');
+        return describeSlot(local.hour() * 60 + local.minute(), dayShift, p, defaults,
+          isWithinWindowThroughout(instant, durationMinutes, p, defaults));
+      }),
+    };
+  });
+}
+
+// On a day without clock changes local times follow from the UTC offsets
+// alone (minutes east of UTC, for tz and then each participant), so every day
+// with the same offsets shares one pattern
+function getSteadyDayPattern(offsets, participants, defaults, step, durationMinutes) {
+  const [calendarOffset, ...participantOffsets] = offsets;
+  const checkpoints = getMeetingCheckpoints(durationMinutes);
+  const minuteOfDay = minutes => ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return getDaySlots(step).map(slot => ({
+    slot,
+    offset: slot * 60000,
+    people: participants.map((p, i) => {
+      // Minutes from the start of the calendar day, on the participant's clock
+      const local = slot + participantOffsets[i] - calendarOffset;
+      const window = getAvailabilityWindow(p, defaults);
+      return describeSlot(minuteOfDay(local), Math.floor(local / DAY_MINUTES), p, defaults,
+        checkpoints.every(m => isMinuteInWindow(minuteOfDay(local + m), window)));
+    }),
+  }));
+}
+
+// Pick a slot (minutes past midnight in tz) for every occurrence so the
+// accumulated inconvenience is spread as evenly as possible. Greedy: each
+// occurrence takes the slot that keeps the sum of squared burdens lowest,
+// which favours whoever has suffered least so far. A burden is the
+// inconvenience plus MISS_PENALTY for every meeting the participant is left
+// out of. Slots that fit every required participant's own hours win whenever
+// there are any; otherwise all slots compete, preferring those within
+// ACCEPTABLE_WINDOW. fits tells whether the chosen slot works for everyone.
+// isHoliday(participant, 'YYYY-MM-DD') reports local days off.
+export function proposeRotation({ occurrences, tz, participants, defaults, step, durationMinutes = 0, isHoliday = () => false }) {
+  const required = participants.map(isRequired);
+  const hasBusy = participants.map(p => Boolean(p.busy && p.busy.length > 0));
+  const zones = [tz, ...participants.map(getParticipantTimezone)].map(name => moment.tz.zone(name) || moment.tz.zone('UTC'));
+  const patterns = new Map();
+  const tally = Object.fromEntries(participants.map(p => [p.id, 0]));
+  const burden = participants.map(() => 0);
+
+  const rotation = occurrences.map(occurrence => {
+    const dayStart = getSlotInstant(occurrence, 0, tz);
+    const from = dayStart.valueOf();
+    const to = from + (DAY_MINUTES + durationMinutes) * 60000;
+    // Days with a clock change are rare, so they are worked out on their own
+    const steady = zones.every(zone => zone.utcOffset(from) === zone.utcOffset(to));
+    let pattern;
+    if (steady) {
+      const offsets = zones.map(zone => -zone.utcOffset(from));
+      const key = offsets.join(',');
+      if (!patterns.has(key)) patterns.set(key, getSteadyDayPattern(offsets, participants, defaults, step, durationMinutes));
+      pattern = patterns.get(key);
+    } else {
+      pattern = getDayPattern(occurrence, tz, participants, defaults, step, durationMinutes);
+    }
+
+    // Each participant's slots fall on one or two local dates, asked about once
+    const calendarDay = moment.utc(dayStart.format('YYYY-MM-DD'));
+    const daysOff = participants.map(() => ({}));
+    const isOff = (i, dayShift) => {
+      if (!(dayShift in daysOff[i])) {
+        daysOff[i][dayShift] = isHoliday(participants[i], calendarDay.clone().add(dayShift, 'days').format('YYYY-MM-DD'));
+      }
+      return daysOff[i][dayShift];
+    };
+
+    const evaluated = pattern.map(({ slot, offset, people }) => {
+      const start = from + offset;
+      const missed = participants.map((p, i) => required[i] && (
+        !people[i].inWindow
+        || (hasBusy[i] && isBusyDuring(moment(start), durationMinutes, p))
+        || isOff(i, people[i].dayShift)
+      ));
+      return { slot, start, people, missed, fits: !missed.some(Boolean) };
+    });
+    const fitting = evaluated.filter(c => c.fits);
+    const pool = fitting.length > 0 ? fitting : evaluated;
+    const acceptable = pool.filter(c => c.people.every((person, i) => !required[i] || person.acceptable));
+    const candidates = acceptable.length > 0 ? acceptable : pool;
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const cost = candidate.people.reduce((sum, person, i) => {
+        const next = burden[i] + person.pain + (candidate.missed[i] ? MISS_PENALTY : 0);
+        return sum + next * next;
+      }, 0);
+      if (!best || cost < best.cost - 1e-9) best = { ...candidate, cost };
+    });
+    const pains = Object.fromEntries(participants.map((p, i) => [p.id, best.people[i].pain]));
+    participants.forEach((p, i) => {
+      tally[p.id] += pains[p.id];
+      burden[i] += pains[p.id] + (best.missed[i] ? MISS_PENALTY : 0);
+    });
+    return { slot: best.slot, instant: moment.tz(best.start, tz), pains, fits: best.fits };
+  });
+  return { rotation, tally };
+}
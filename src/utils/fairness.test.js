@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import moment from 'moment-timezone';
+import { ACCEPTABLE_WINDOW, proposeRotation, tallyInconvenience, getParticipantInconvenience } from './fairness';
+import { expandOccurrences } from './recurrence';
+import { getLocalMinuteOfDay, isWithinWindowThroughout } from './availability';
+
+const defaults = { start: 8, end: 22 };
+const participant = (id, timezone, availability = null, extra = {}) => ({ id, name: id, timezone, availability, required: true, ...extra });
+
+const singapore = participant('sg', 'Asia/Singapore', { start: 9, end: 18 });
+const newYork = participant('ny', 'America/New_York', { start: 8, end: 20 });
+const london = participant('ldn', 'Europe/London');
+
+const weekly = count => expandOccurrences(moment.tz('2025-06-02 12:00', 'UTC'), 'UTC', { frequency: 'weekly', endType: 'count', count, until: null });
+const localHour = (instant, p) => getLocalMinuteOfDay(instant, p.timezone) / 60;
+
+describe('tallyInconvenience', () => {
+  it('sums hours outside 9-17 local time per participant', () => {
+    // 12:00 UTC in June: 20:00 in Singapore (3 points), 08:00 in New York (1), 13:00 in London (0)
+    const instants = weekly(4);
+    const tally = tallyInconvenience(instants, [singapore, newYork, london]);
+    expect(tally).toEqual({ sg: 12, ny: 4, ldn: 0 });
+  });
+
+  it('starts everyone at zero', () => {
+    expect(tallyInconvenience([], [singapore, london])).toEqual({ sg: 0, ldn: 0 });
+  });
+});
+
+describe('proposeRotation', () => {
+  it('keeps every occurrence inside each required participant\'s own hours when a slot fits', () => {
+    const team = [singapore, london];
+    const { rotation } = proposeRotation({ occurrences: weekly(6), tz: 'UTC', participants: team, defaults, step: 30, durationMinutes: 60 });
+    expect(rotation).toHaveLength(6);
+    rotation.forEach(r => {
+      expect(r.fits).toBe(true);
+      team.forEach(p => expect(isWithinWindowThroughout(r.instant, 60, p, defaults)).toBe(true));
+    });
+  });
+
+  it('takes turns over who is left out when no slot fits everyone', () => {
+    // Singapore 9-18 and New York 8-20 never overlap; the fixed 12:00 UTC slot
+    // leaves Singapore out every week with a tally of { sg: 12, ny: 4, ldn: 0 }
+    const team = [singapore, newYork, london];
+    const { rotation, tally } = proposeRotation({ occurrences: weekly(4), tz: 'UTC', participants: team, defaults, step: 60, durationMinutes: 60 });
+    rotation.forEach(r => expect(r.fits).toBe(false));
+    const leftOut = p => rotation.filter(r => !isWithinWindowThroughout(r.instant, 60, p, defaults)).length;
+    expect(new Set(rotation.map(r => r.slot)).size).toBeGreaterThan(1);
+    expect(leftOut(newYork)).toBeGreaterThan(0);
+    expect(Math.max(...Object.values(tally))).toBeLessThan(12);
+    expect(tally.sg - tally.ny).toBeLessThan(8);
+    // and nobody is asked to join before 06:00 or after 23:00 for it
+    rotation.forEach(r => team.forEach(p => {
+      expect(localHour(r.instant, p)).toBeGreaterThanOrEqual(ACCEPTABLE_WINDOW.start);
+      expect(localHour(r.instant, p)).toBeLessThan(ACCEPTABLE_WINDOW.end);
+    }));
+  });
+
+  it('keeps slots on the wall clock across DST changes', () => {
+    // A year of weekly meetings in Berlin time with New York and Sydney, whose
+    // clocks change on other dates
+    const occurrences = expandOccurrences(moment.tz('2025-01-06 10:00', 'Europe/Berlin'), 'Europe/Berlin', { frequency: 'weekly', endType: 'count', count: 52, until: null });
+    const team = [participant('ber', 'Europe/Berlin'), newYork, participant('syd', 'Australia/Sydney')];
+    const { rotation, tally } = proposeRotation({ occurrences, tz: 'Europe/Berlin', participants: team, defaults, step: 15, durationMinutes: 45 });
+    expect(rotation).toHaveLength(52);
+    rotation.forEach((r, i) => {
+      expect(r.instant.format('YYYY-MM-DD')).toBe(occurrences[i].format('YYYY-MM-DD'));
+      expect(getLocalMinuteOfDay(r.instant, 'Europe/Berlin')).toBe(r.slot);
+      team.forEach(p => expect(r.pains[p.id]).toBe(getParticipantInconvenience(r.instant, p)));
+    });
+    expect(tally).toEqual(tallyInconvenience(rotation.map(r => r.instant), team));
+  });
+
+  it('avoids busy times and local holidays', () => {
+    const occurrences = weekly(2);
+    const first = occurrences[0].format('YYYY-MM-DD');
+    // London is busy 07:00-09:00 UTC on the first day, Singapore is off on the second
+    const busyLondon = { ...london, busy: [{ start: moment.tz(`${first} 07:00`, 'UTC').valueOf(), end: moment.tz(`${first} 09:00`, 'UTC').valueOf() }] };
+    const isHoliday = (p, date) => p.id === 'sg' && date === occurrences[1].clone().tz('Asia/Singapore').format('YYYY-MM-DD');
+    const { rotation } = proposeRotation({ occurrences, tz: 'UTC', participants: [singapore, busyLondon], defaults, step: 60, durationMinutes: 60, isHoliday });
+    expect(rotation[0].instant.format('HH:mm')).toBe('09:00');
+    expect(rotation[0].fits).toBe(true);
+    expect(rotation[1].fits).toBe(false);
+  });
+
+  it('ignores optional participants when choosing slots', () => {
+    const optionalNewYork = { ...newYork, required: false };
+    const { rotation } = proposeRotation({ occurrences: weekly(3), tz: 'UTC', participants: [singapore, optionalNewYork], defaults, step: 60, durationMinutes: 60 });
+    rotation.forEach(r => {
+      expect(r.fits).toBe(true);
+      expect(isWithinWindowThroughout(r.instant, 60, singapore, defaults)).toBe(true);
+    });
+  });
+
+  it('tallies the inconvenience of the chosen slots', () => {
+    const team = [singapore, london];
+    const { rotation, tally } = proposeRotation({ occurrences: weekly(4), tz: 'UTC', participants: team, defaults, step: 60, durationMinutes: 60 });
+    expect(tally).toEqual(tallyInconvenience(rotation.map(r => r.instant), team));
+    rotation.forEach(r => expect(r.pains.sg).toBe(getParticipantInconvenience(r.instant, singapore)));
+    // Singapore's own hours end at 18:00, so nobody has to take more than an hour outside 9-17
+    rotation.forEach(r => expect(localHour(r.instant, singapore)).toBeLessThan(18));
+  });
+});
@@ -0,0 +1,54 @@
+import ct from 'countries-and-timezones';
+import cities from '../components/data/cities.json';
+
+// Bundled gazetteer: cities with at least 100k inhabitants plus every capital,
+// from GeoNames (CC BY 4.0). Rows are [name, iso2, lat, lng, population],
+// sorted by population.
+
+// Case- and accent-insensitive form used for matching ("São Paulo" -> "sao paulo")
+function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+const index = cities.map(([name, iso2, lat, lng, population]) => ({
+  name,
+  iso2,
+  lat,
+  lng,
+  population,
+  countryName: (ct.getCountry(iso2) || {}).name || iso2,
+  key: normalize(name),
+}));
+
+// Find cities by name. Exact name matches rank first, then prefix matches,
+// then matches inside the name, larger cities first within each. "berlin, de"
+// or "paris, france" narrow by country.
+export function searchCities(query, limit = 8) {
+  const q = normalize(query || '');
+  if (!q) return [];
+  const [namePart, countryPart] = q.includes(',') ? q.split(',').map(s => s.trim()) : [q, ''];
+  const inCountry = city =>
+    !countryPart || city.iso2.toLowerCase() === countryPart || normalize(city.countryName).startsWith(countryPart);
+
+  const exact = [];
+  const prefix = [];
+  const inner = [];
+  for (const city of index) {
+    if (!inCountry(city)) continue;
+    if (city.key === namePart) exact.push(city);
+    else if (city.key.startsWith(namePart)) prefix.push(city);
+    else if (city.key.includes(namePart)) inner.push(city);
+  }
+  return exact.concat(prefix, inner).slice(0, limit);
+}
+
+// Cities whose normalized name is exactly the query's name part, largest
+// first; "victoria, ca" narrows by country like searchCities
+export function findExactCities(query) {
+  return searchCities(query, Infinity).filter(city => city.key === normalize((query || '').split(',')[0]));
+}
+
+// Cities of a country, largest first
+export function getCitiesInCountry(iso2) {
+  return index.filter(city => city.iso2 === iso2);
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { searchCities, findExactCities } from './gazetteer';
+
+const names = results => results.map(c => `${c.name}, ${c.iso2}`);
+
+describe('searchCities', () => {
+  it('ranks exact names before larger cities that merely start with them', () => {
+    expect(names(searchCities('Porto', 3))[0]).toBe('Porto, PT');
+    expect(names(searchCities('bari', 3))[0]).toBe('Bari, IT');
+    expect(searchCities('Jackson', 3)[0].name).toBe('Jackson');
+  });
+
+  it('matches regardless of case and accents', () => {
+    expect(searchCities('sao paulo', 1)[0].name).toBe('São Paulo');
+  });
+
+  it('lists prefix matches before matches inside the name', () => {
+    const results = searchCities('york', 20);
+    const firstInner = results.findIndex(c => !c.name.toLowerCase().startsWith('york'));
+    expect(results.slice(firstInner).every(c => !c.name.toLowerCase().startsWith('york'))).toBe(true);
+  });
+
+  it('narrows by country code or name', () => {
+    expect(names(searchCities('victoria, ca', 1))).toEqual(['Victoria, CA']);
+    expect(searchCities('paris, france', 5).every(c => c.iso2 === 'FR')).toBe(true);
+  });
+});
+
+describe('findExactCities', () => {
+  it('only returns cities with exactly that name', () => {
+    expect(findExactCities('Porto').map(c => c.iso2)).toEqual(['PT']);
+    expect(findExactCities('Port')).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+// Holiday providers resolve the public holidays of one country for one year.
+// A provider is an object { name, fetchHolidays(year, countryCode) } whose
+// fetchHolidays resolves to an array in the nager.at PublicHoliday shape
+// ({ date: 'YYYY-MM-DD', localName, name, countryCode, type, global, counties })
+// and rejects when the data could not be loaded.
+
+export const DEFAULT_HOLIDAY_API_URL = 'https://date.nager.at';
+
+// nager.at compatible API. baseUrl can point at a local stand-in server that
+// serves /api/v3/PublicHolidays/{year}/{countryCode}.
+export function createNagerProvider({ baseUrl = DEFAULT_HOLIDAY_API_URL } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  return {
+    name: `nager.at (${root})`,
+    async fetchHolidays(year, countryCode) {
+      const res = await fetch(`${root}/api/v3/PublicHolidays/${year}/${countryCode}`);
+      // Countries the API does not cover answer 204/404: no holidays known
+      if (res.status === 204 || res.status === 404) return [];
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    },
+  };
+}
+
+// v1 keys were shared by every provider; v2 keys name the provider (and so its URL)
+const CACHE_PREFIX = 'holidays:v2:';
+export const DEFAULT_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Wrap a provider with a persistent cache (localStorage by default). Entries
+// are kept per provider and expire after ttlMs. Failures and empty answers
+// (countries the provider does not cover) are never cached, so they are asked
+// again on the next load.
+export function createCachedProvider(provider, { storage = globalThis.localStorage, ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  const read = key => {
+    try {
+      const entry = JSON.parse(storage.getItem(key));
+      if (entry && Array.isArray(entry.holidays) && Date.now() - entry.fetchedAt < ttlMs) return entry.holidays;
+    } catch {
+      // Corrupt or unavailable storage behaves like a cache miss
+    }
+    return null;
+  };
+  const write = (key, holidays) => {
+    try {
+      storage.setItem(key, JSON.stringify({ fetchedAt: Date.now(), holidays }));
+    } catch {
+      // Quota exceeded or storage disabled: keep working without persistence
+    }
+  };
+  return {
+    name: provider.name,
+    async fetchHolidays(year, countryCode) {
+      const key = `${CACHE_PREFIX}${provider.name}:${countryCode}:${year}`;
+      const cached = storage ? read(key) : null;
+      if (cached) return cached;
+      const holidays = await provider.fetchHolidays(year, countryCode);
+      if (storage && holidays.length > 0) write(key, holidays);
+      return holidays;
+    },
+  };
+}
+
+// The provider used by the app: nager.at (or VITE_HOLIDAY_API_URL) behind the persistent cache
+export const defaultHolidayProvider = createCachedProvider(
+  createNagerProvider({ baseUrl: import.meta.env?.VITE_HOLIDAY_API_URL || DEFAULT_HOLIDAY_API_URL })
+);
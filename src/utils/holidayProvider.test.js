@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createCachedProvider, createNagerProvider } from './holidayProvider';
+
+const newYear = { date: '2025-01-01', localName: 'Neujahr', name: "New Year's Day", countryCode: 'DE', type: 'Public', global: true, counties: null };
+
+// In-memory stand-in for localStorage
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    keys: () => [...items.keys()],
+  };
+}
+
+function createProvider(name, answers) {
+  return { name, fetchHolidays: vi.fn(async () => answers.shift()) };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createNagerProvider', () => {
+  it('fetches from the configured server without a trailing slash', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, status: 200, json: async () => [newYear] }));
+    vi.stubGlobal('fetch', fetch);
+    const provider = createNagerProvider({ baseUrl: 'http://holidays.local/' });
+    expect(await provider.fetchHolidays(2025, 'DE')).toEqual([newYear]);
+    expect(fetch).toHaveBeenCalledWith('http://holidays.local/api/v3/PublicHolidays/2025/DE');
+    expect(provider.name).toBe('nager.at (http://holidays.local)');
+  });
+
+  it('treats uncovered countries as having no holidays and rejects other errors', async () => {
+    vi.stubGlobal('fetch', vi.fn(async url => ({ ok: false, status: url.endsWith('/XK') ? 404 : 500 })));
+    const provider = createNagerProvider();
+    expect(await provider.fetchHolidays(2025, 'XK')).toEqual([]);
+    await expect(provider.fetchHolidays(2025, 'DE')).rejects.toThrow('HTTP 500');
+  });
+});
+
+describe('createCachedProvider', () => {
+  it('answers repeated requests from storage', async () => {
+    const storage = createStorage();
+    const provider = createProvider('test', [[newYear]]);
+    const cached = createCachedProvider(provider, { storage });
+    expect(await cached.fetchHolidays(2025, 'DE')).toEqual([newYear]);
+    expect(await createCachedProvider(provider, { storage }).fetchHolidays(2025, 'DE')).toEqual([newYear]);
+    expect(provider.fetchHolidays).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the entries of different providers apart', async () => {
+    const storage = createStorage();
+    const local = createProvider('nager.at (http://holidays.local)', [[{ ...newYear, name: 'Local' }]]);
+    const remote = createProvider('nager.at (https://date.nager.at)', [[newYear]]);
+    await createCachedProvider(local, { storage }).fetchHolidays(2025, 'DE');
+    expect(await createCachedProvider(remote, { storage }).fetchHolidays(2025, 'DE')).toEqual([newYear]);
+    expect(remote.fetchHolidays).toHaveBeenCalledTimes(1);
+    expect(storage.keys()).toHaveLength(2);
+  });
+
+  it('refetches expired entries', async () => {
+    const storage = createStorage();
+    const provider = createProvider('test', [[newYear], [newYear]]);
+    const cached = createCachedProvider(provider, { storage, ttlMs: 1000 });
+    const now = vi.spyOn(Date, 'now').mockReturnValue(0);
+    await cached.fetchHolidays(2025, 'DE');
+    now.mockReturnValue(2000);
+    await cached.fetchHolidays(2025, 'DE');
+    now.mockRestore();
+    expect(provider.fetchHolidays).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not keep empty answers or failures', async () => {
+    const storage = createStorage();
+    const provider = { name: 'test', fetchHolidays: vi.fn() };
+    provider.fetchHolidays
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(new Error('HTTP 500'))
+      .mockResolvedValueOnce([newYear]);
+    const cached = createCachedProvider(provider, { storage });
+    expect(await cached.fetchHolidays(2025, 'DE')).toEqual([]);
+    await expect(cached.fetchHolidays(2025, 'DE')).rejects.toThrow('HTTP 500');
+    expect(await cached.fetchHolidays(2025, 'DE')).toEqual([newYear]);
+    expect(provider.fetchHolidays).toHaveBeenCalledTimes(3);
+  });
+
+  it('works without usable storage', async () => {
+    const storage = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('quota'); } };
+    const provider = createProvider('test', [[newYear]]);
+    expect(await createCachedProvider(provider, { storage }).fetchHolidays(2025, 'DE')).toEqual([newYear]);
+  });
+});
@@ -0,0 +1,19 @@
+// A holiday applies to a participant when it is nationwide or covers their
+// subdivision (nager.at marks regional holidays with global: false and lists
+// the ISO 3166-2 codes in counties)
+export function holidayAppliesTo(holiday, participant) {
+  if (holiday.global !== false || !holiday.counties) return true;
+  return Boolean(participant.subdivision) && holiday.counties.includes(participant.subdivision);
+}
+
+// Holidays of the participant's country that apply to them
+export function getParticipantHolidays(holidaysByCountry, participant) {
+  return (holidaysByCountry[participant.iso2] || []).filter(h => holidayAppliesTo(h, participant));
+}
+
+// Subdivision codes that have regional holidays in a country's data
+export function getHolidaySubdivisions(holidays) {
+  const codes = new Set();
+  holidays.forEach(h => (h.counties || []).forEach(c => codes.add(c)));
+  return Array.from(codes).sort();
+}
@@ -0,0 +1,166 @@
+import moment from 'moment-timezone';
+import { getParticipantTimezone } from './availability';
+import { getParticipantLabel, isRequired } from './participants';
+import { downloadFile } from './download';
+import { expandOccurrences, getUntil, toRRule } from './recurrence';
+
+const PRODID = '-//Cross Timezone Meeting Planner//EN';
+
+// Escape TEXT values as required by RFC 5545 section 3.3.11
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const len = new TextEncoder().encode(ch).length;
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + len > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += len;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Format a UTC offset in minutes (east positive) as +HHMM / -HHMM
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${sign}${hh}${mm}`;
+}
+
+function formatLocal(m) {
+  return m.format('YYYYMMDD[T]HHmmss');
+}
+
+function formatUtc(m) {
+  return m.clone().utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+// Build a VTIMEZONE for tz covering the years from the first to the last
+// occurrence (with a year's margin), using the transition table bundled with
+// moment-timezone
+function buildVTimezone(tz, firstYear, lastYear = firstYear) {
+  const zone = moment.tz.zone(tz);
+  const windowStart = moment.utc({ year: firstYear - 1, month: 0, day: 1 }).valueOf();
+  const windowEnd = moment.utc({ year: lastYear + 2, month: 0, day: 1 }).valueOf();
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+
+  const observance = (at, offsetFrom, offsetTo) => {
+    const instant = moment.tz(at, tz);
+    const kind = instant.isDST() ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART of an observance is the local time in the offset being replaced
+    const localStart = moment.utc(at).add(offsetFrom, 'minutes');
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(localStart)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${instant.zoneAbbr()}`,
+      `END:${kind}`
+    );
+  };
+
+  if (!zone) {
+    observance(windowStart, 0, 0);
+  } else {
+    // moment-timezone stores offsets as minutes west of UTC
+    const offsetAt = ts => -zone.utcOffset(ts);
+    observance(windowStart, offsetAt(windowStart), offsetAt(windowStart));
+    zone.untils.forEach((until, i) => {
+      if (until <= windowStart || until >= windowEnd || !isFinite(until)) return;
+      const from = -zone.offsets[i];
+      const to = -zone.offsets[i + 1];
+      if (from !== to) observance(until, from, to);
+    });
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function generateUid() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}-${random}@cross-timezone-meeting-planner`;
+}
+
+// Participant local times of one meeting, for the event description
+function describeLocalTimes(begin, participants) {
+  return [
+    'Local times:',
+    ...participants.map(p => {
+      const zone = getParticipantTimezone(p);
+      const local = begin.clone().tz(zone);
+      const optional = isRequired(p) ? '' : ' [optional]';
+      return `${getParticipantLabel(p)}${optional} (${zone}): ${local.format('YYYY-MM-DD HH:mm')}`;
+    }),
+  ].join('\n');
+}
+
+// Build an iCalendar (.ics) document for a single meeting.
+// start is a moment in tz; participants are the planner's participant entries;
+// recurrence (optional) turns the event into a series. starts (optional) moves
+// occurrences: one start per occurrence of the series, e.g. a fairness
+// rotation; those that differ are written as overridden instances.
+export function buildMeetingICS({ title, start, tz, durationMinutes = 60, participants = [], recurrence = null, starts = null }) {
+  const begin = start.clone().tz(tz);
+  // A series that ends before it starts is just the first meeting
+  const until = getUntil(recurrence, tz);
+  const rrule = until && until.isBefore(begin) ? null : toRRule(recurrence, tz);
+  const occurrences = expandOccurrences(begin, tz, recurrence);
+  const moved = rrule && starts
+    ? occurrences.map((occurrence, i) => ({ occurrence, start: starts[i] && starts[i].clone().tz(tz) }))
+      .filter(o => o.start && !o.start.isSame(o.occurrence))
+    : [];
+  const years = [...occurrences, ...moved.map(o => o.start)].map(m => m.year());
+  const uid = generateUid();
+  const stamp = formatUtc(moment());
+
+  const event = (from, extra) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    ...extra,
+    `DTSTART;TZID=${tz}:${formatLocal(from)}`,
+    `DTEND;TZID=${tz}:${formatLocal(from.clone().add(durationMinutes, 'minutes'))}`,
+    `SUMMARY:${escapeText(title || 'Meeting')}`,
+    `DESCRIPTION:${escapeText(describeLocalTimes(from, participants))}`,
+    'END:VEVENT',
+  ];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...buildVTimezone(tz, Math.min(...years), Math.max(...years)),
+    ...event(begin, rrule ? [`RRULE:${rrule}`] : []),
+    ...moved.flatMap(o => event(o.start, [`RECURRENCE-ID;TZID=${tz}:${formatLocal(o.occurrence)}`])),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Trigger a browser download of an .ics document
+export function downloadICS(content, filename = 'meeting.ics') {
+  downloadFile(content, filename, 'text/calendar;charset=utf-8');
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import moment from 'moment-timezone';
+import { buildMeetingICS } from './ics';
+import { getBusyBlocks } from './icsImport';
+
+const participants = [
+  { id: 'a', name: 'Germany', person: 'Anna', timezone: 'Europe/Berlin', required: true },
+  { id: 'b', name: 'Japan', person: '', timezone: 'Asia/Tokyo', required: false },
+];
+
+// Content lines with folding undone
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+// Years that have an observance in the VTIMEZONE
+const observanceYears = lines => lines
+  .filter(line => line.startsWith('DTSTART:'))
+  .map(line => Number(line.slice(8, 12)));
+
+describe('buildMeetingICS', () => {
+  const start = moment.tz('2025-03-03 09:00', 'Europe/Berlin');
+
+  it('builds a single meeting', () => {
+    const lines = unfold(buildMeetingICS({ title: 'Sync; weekly', start, tz: 'Europe/Berlin', durationMinutes: 45, participants }));
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20250303T090000');
+    expect(lines).toContain('DTEND;TZID=Europe/Berlin:20250303T094500');
+    expect(lines).toContain('SUMMARY:Sync\\; weekly');
+    expect(lines.some(line => line.startsWith('RRULE:'))).toBe(false);
+    expect(lines.find(line => line.startsWith('DESCRIPTION:'))).toContain('Japan [optional] (Asia/Tokyo): 2025-03-03 17:00');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+  });
+
+  it('builds a weekly series', () => {
+    const recurrence = { frequency: 'weekly', endType: 'count', count: 6, until: null };
+    const ics = buildMeetingICS({ title: 'Sync', start, tz: 'Europe/Berlin', participants, recurrence });
+    const lines = unfold(ics);
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;COUNT=6');
+    // Every occurrence stays at 09:00 Berlin time across the DST change on 30 March
+    const blocks = getBusyBlocks(ics, 'UTC', start);
+    expect(blocks).toHaveLength(6);
+    blocks.forEach(b => expect(moment(b.start).tz('Europe/Berlin').format('ddd HH:mm')).toBe('Mon 09:00'));
+  });
+
+  it('covers the whole series with time zone rules', () => {
+    const recurrence = { frequency: 'weekly', endType: 'count', count: 200, until: null };
+    const lines = unfold(buildMeetingICS({ title: 'Sync', start, tz: 'Europe/Berlin', recurrence }));
+    // 200 weekly meetings from March 2025 run into 2028
+    expect(Math.max(...observanceYears(lines))).toBeGreaterThanOrEqual(2028);
+    expect(Math.min(...observanceYears(lines))).toBeLessThanOrEqual(2025);
+  });
+
+  it('writes a single meeting when the series ends before it starts', () => {
+    const recurrence = { frequency: 'weekly', endType: 'until', count: 6, until: '0002-03-01' };
+    const lines = unfold(buildMeetingICS({ title: 'Sync', start, tz: 'Europe/Berlin', recurrence }));
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20250303T090000');
+    expect(lines.some(line => line.startsWith('RRULE:'))).toBe(false);
+    expect(lines.some(line => line.includes('Invalid date'))).toBe(false);
+    expect(Math.min(...observanceYears(lines))).toBeGreaterThanOrEqual(2024);
+  });
+
+  it('writes moved occurrences of a rotation as overridden instances', () => {
+    const recurrence = { frequency: 'weekly', endType: 'count', count: 3, until: null };
+    const starts = [start, start.clone().add(7, 'days').hour(15), start.clone().add(14, 'days')];
+    const ics = buildMeetingICS({ title: 'Sync', start, tz: 'Europe/Berlin', participants, recurrence, starts });
+    const lines = unfold(ics);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('RECURRENCE-ID;TZID=Europe/Berlin:20250310T090000');
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20250310T150000');
+    const blocks = getBusyBlocks(ics, 'UTC', start);
+    expect(blocks.map(b => moment(b.start).tz('Europe/Berlin').format('MM-DD HH:mm'))).toEqual(['03-03 09:00', '03-10 15:00', '03-17 09:00']);
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const ics = buildMeetingICS({ title: 'x'.repeat(200), start, tz: 'Europe/Berlin' });
+    ics.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+  });
+});
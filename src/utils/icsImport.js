@@ -0,0 +1,303 @@
+import moment from 'moment-timezone';
+
+// Reads busy times out of iCalendar (.ics) text, entirely in the browser.
+// Recurring events are expanded over a fixed horizon around today, so a
+// weekly meeting without an end does not expand forever.
+
+export const BUSY_HORIZON_DAYS = { past: 31, future: 400 };
+// Hard cap on the number of busy blocks kept per calendar
+export const MAX_BUSY_BLOCKS = 5000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook and Exchange write Windows zone names instead of IANA ones
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+};
+
+// An IANA zone for a TZID, or null. Some producers prefix the zone with a
+// path, e.g. /mozilla.org/20050126_1/Europe/Berlin.
+function resolveTzid(tzid) {
+  if (!tzid) return null;
+  if (moment.tz.zone(tzid)) return tzid;
+  if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+  const parts = tzid.split('/').filter(Boolean);
+  for (let i = 1; i < parts.length; i++) {
+    const candidate = parts.slice(i).join('/');
+    if (moment.tz.zone(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Content lines with folding undone: { name, params, value }
+function parseLines(text) {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '');
+  return unfolded.split('\n').filter(Boolean).map(line => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon < 0) return null;
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(p => {
+      const idx = p.indexOf('=');
+      if (idx > 0) params[p.slice(0, idx).toUpperCase()] = p.slice(idx + 1).replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }).filter(Boolean);
+}
+
+// A DATE or DATE-TIME value as a moment; dates and floating times are read in
+// the TZID zone when known, otherwise in defaultTz
+function parseDateValue(value, params, defaultTz) {
+  const tz = resolveTzid(params.TZID) || defaultTz;
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { time: moment.tz(value.slice(0, 8), 'YYYYMMDD', true, tz), allDay: true, tz };
+  }
+  if (value.endsWith('Z')) {
+    return { time: moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true), allDay: false, tz: 'UTC' };
+  }
+  return { time: moment.tz(value, 'YYYYMMDD[T]HHmmss', true, tz), allDay: false, tz };
+}
+
+// RFC 5545 duration, e.g. PT1H30M or P1D, in minutes
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const minutes = (Number(w || 0) * 7 + Number(d || 0)) * 1440 + Number(h || 0) * 60 + Number(m || 0) + Number(s || 0) / 60;
+  return sign === '-' ? -minutes : minutes;
+}
+
+function parseRRule(value) {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [k, v] = part.split('=');
+    if (k && v) rule[k.toUpperCase()] = v;
+  });
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return null;
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL || null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map(d => {
+        const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(d);
+        return m ? { nth: m[1] ? Number(m[1]) : null, day: WEEKDAYS.indexOf(m[2]) } : null;
+      }).filter(Boolean)
+      : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+    bySetPos: rule.BYSETPOS ? rule.BYSETPOS.split(',').map(Number) : null,
+    wkst: WEEKDAYS.indexOf(rule.WKST || 'MO'),
+  };
+}
+
+// VEVENTs of a calendar. Throws a readable error when the text is not iCalendar.
+export function parseICS(text, defaultTz) {
+  const lines = parseLines(text || '');
+  if (!lines.some(l => l.name === 'BEGIN' && l.value.toUpperCase() === 'VCALENDAR')) {
+    throw new Error('This is not an iCalendar (.ics) file.');
+  }
+  const events = [];
+  const stack = [];
+  let event = null;
+  lines.forEach(({ name, params, value }) => {
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') event = { exdates: [], rdates: [] };
+      return;
+    }
+    if (name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        if (event.start && event.start.time.isValid()) events.push(event);
+        event = null;
+      }
+      return;
+    }
+    // Only the event's own properties, not those of a nested VALARM
+    if (!event || stack[stack.length - 1] !== 'VEVENT') return;
+    if (name === 'UID') event.uid = value;
+    else if (name === 'DTSTART') event.start = parseDateValue(value, params, defaultTz);
+    else if (name === 'DTEND') event.end = parseDateValue(value, params, defaultTz);
+    else if (name === 'DURATION') event.duration = parseDuration(value);
+    else if (name === 'RRULE') event.rrule = parseRRule(value);
+    else if (name === 'EXDATE') value.split(',').forEach(v => event.exdates.push(parseDateValue(v, params, defaultTz).time));
+    else if (name === 'RDATE' && params.VALUE !== 'PERIOD') value.split(',').forEach(v => event.rdates.push(parseDateValue(v, params, defaultTz).time));
+    else if (name === 'RECURRENCE-ID') event.recurrenceId = parseDateValue(value, params, defaultTz).time;
+    else if (name === 'STATUS') event.cancelled = value.toUpperCase() === 'CANCELLED';
+    else if (name === 'TRANSP') event.transparent = value.toUpperCase() === 'TRANSPARENT';
+    else if (name === 'SUMMARY') event.summary = value;
+  });
+  return events;
+}
+
+// Length of an event in minutes: DTEND, else DURATION, else one day for
+// all-day events and nothing for timed ones
+function getEventMinutes(event) {
+  if (event.end && event.end.time.isValid()) return event.end.time.diff(event.start.time, 'minutes');
+  if (event.duration !== null && event.duration !== undefined) return event.duration;
+  return event.start.allDay ? 1440 : 0;
+}
+
+// Candidate days of one period (a week, month or year starting at periodStart)
+// that match the rule, as wall-clock moments in the event's zone
+function getPeriodDays(rule, periodStart, dtstart) {
+  const monthDays = month => {
+    const daysInMonth = month.daysInMonth();
+    let days = [];
+    if (rule.byMonthDay) {
+      days = rule.byMonthDay
+        .map(d => (d < 0 ? daysInMonth + d + 1 : d))
+        .filter(d => d >= 1 && d <= daysInMonth)
+        .map(d => month.clone().date(d));
+    } else if (rule.byDay) {
+      rule.byDay.forEach(({ nth, day }) => {
+        const matches = [];
+        for (let d = 1; d <= daysInMonth; d++) {
+          const candidate = month.clone().date(d);
+          if (candidate.day() === day) matches.push(candidate);
+        }
+        if (nth === null) days.push(...matches);
+        else if (nth > 0 && matches[nth - 1]) days.push(matches[nth - 1]);
+        else if (nth < 0 && matches[matches.length + nth]) days.push(matches[matches.length + nth]);
+      });
+    } else if (dtstart.date() <= daysInMonth) {
+      days = [month.clone().date(dtstart.date())];
+    }
+    return days;
+  };
+
+  let days = [];
+  if (rule.freq === 'DAILY') {
+    days = [periodStart.clone()];
+    if (rule.byDay) days = days.filter(d => rule.byDay.some(b => b.day === d.day()));
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay ? rule.byDay.map(b => b.day) : [dtstart.day()];
+    days = weekdays.map(day => periodStart.clone().add((day - rule.wkst + 7) % 7, 'days'));
+  } else if (rule.freq === 'MONTHLY') {
+    days = monthDays(periodStart);
+  } else if (rule.freq === 'YEARLY') {
+    const months = rule.byMonth || [dtstart.month() + 1];
+    months.forEach(m => {
+      const month = periodStart.clone().month(m - 1).date(1);
+      if (rule.byDay || rule.byMonthDay) days.push(...monthDays(month));
+      else if (dtstart.date() <= month.daysInMonth()) days.push(month.clone().date(dtstart.date()));
+    });
+  }
+  days.sort((a, b) => a.valueOf() - b.valueOf());
+  if (rule.bySetPos) {
+    days = rule.bySetPos.map(pos => days[pos > 0 ? pos - 1 : days.length + pos]).filter(Boolean);
+  }
+  return days.map(d => d.clone().hour(dtstart.hour()).minute(dtstart.minute()).second(dtstart.second()));
+}
+
+// Start instants of an event up to horizonEnd (RRULE, RDATE and EXDATE applied)
+function expandStarts(event, horizonEnd) {
+  const dtstart = event.start.time.clone().tz(event.start.tz);
+  const starts = [dtstart];
+  const rule = event.rrule;
+  if (rule) {
+    // A date-only UNTIL includes that whole day
+    const parsedUntil = rule.until ? parseDateValue(rule.until, {}, event.start.tz) : null;
+    const until = parsedUntil ? (parsedUntil.allDay ? parsedUntil.time.clone().endOf('day') : parsedUntil.time) : null;
+    const unit = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[rule.freq];
+    let periodStart = dtstart.clone().startOf('day');
+    if (rule.freq === 'WEEKLY') periodStart.subtract((dtstart.day() - rule.wkst + 7) % 7, 'days');
+    if (rule.freq === 'MONTHLY') periodStart.date(1);
+    if (rule.freq === 'YEARLY') periodStart.month(0).date(1);
+
+    let count = 1;
+    let done = false;
+    while (!done && periodStart.isSameOrBefore(horizonEnd)) {
+      for (const start of getPeriodDays(rule, periodStart, dtstart)) {
+        if (!start.isAfter(dtstart)) continue;
+        if ((until && start.isAfter(until)) || start.isAfter(horizonEnd) || (rule.count && count >= rule.count)) {
+          done = true;
+          break;
+        }
+        starts.push(start);
+        count++;
+      }
+      periodStart = periodStart.clone().add(rule.interval, unit);
+    }
+  }
+  event.rdates.forEach(d => starts.push(d));
+  const excluded = new Set(event.exdates.map(d => d.valueOf()));
+  return starts.filter(s => !excluded.has(s.valueOf()));
+}
+
+// Busy blocks [{ start, end }] in epoch milliseconds, sorted and merged.
+// Cancelled and transparent ("free") events are ignored, and instances moved
+// or cancelled through RECURRENCE-ID replace the original occurrence.
+export function getBusyBlocks(text, defaultTz, now = moment()) {
+  const events = parseICS(text, defaultTz);
+  const horizonStart = now.clone().subtract(BUSY_HORIZON_DAYS.past, 'days');
+  const horizonEnd = now.clone().add(BUSY_HORIZON_DAYS.future, 'days');
+
+  const overridden = new Set();
+  events.forEach(e => {
+    if (e.recurrenceId) overridden.add(`${e.uid}|${e.recurrenceId.valueOf()}`);
+  });
+
+  const blocks = [];
+  events.forEach(e => {
+    if (e.cancelled || e.transparent) return;
+    const minutes = getEventMinutes(e);
+    if (minutes <= 0) return;
+    const starts = e.recurrenceId ? [e.start.time] : expandStarts(e, horizonEnd);
+    starts.forEach(start => {
+      if (!e.recurrenceId && overridden.has(`${e.uid}|${start.valueOf()}`)) return;
+      const end = start.clone().add(minutes, 'minutes');
+      if (end.isAfter(horizonStart) && start.isBefore(horizonEnd)) {
+        blocks.push({ start: start.valueOf(), end: end.valueOf() });
+      }
+    });
+  });
+
+  blocks.sort((a, b) => a.start - b.start);
+  const merged = [];
+  blocks.forEach(b => {
+    const last = merged[merged.length - 1];
+    if (last && b.start <= last.end) last.end = Math.max(last.end, b.end);
+    else merged.push({ ...b });
+  });
+  if (merged.length <= MAX_BUSY_BLOCKS) return merged;
+  // Over the cap, upcoming busy time matters most: past blocks go first, and
+  // only then the furthest future ones
+  const firstUpcoming = merged.findIndex(b => b.end > now.valueOf());
+  const from = firstUpcoming < 0 ? merged.length - MAX_BUSY_BLOCKS : Math.min(firstUpcoming, merged.length - MAX_BUSY_BLOCKS);
+  return merged.slice(from, from + MAX_BUSY_BLOCKS);
+}
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import moment from 'moment-timezone';
+import { getBusyBlocks, parseICS, MAX_BUSY_BLOCKS } from './icsImport';
+
+const NOW = moment.tz('2025-01-01 00:00', 'UTC');
+
+// A calendar around the given VEVENT bodies (arrays of content lines)
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap((lines, i) => ['BEGIN:VEVENT', `UID:event-${i}`, ...lines, 'END:VEVENT']),
+  'END:VCALENDAR',
+].join('\r\n');
+
+// Block starts as wall-clock strings in tz
+const starts = (blocks, tz = 'UTC', format = 'YYYY-MM-DD HH:mm') => blocks.map(b => moment(b.start).tz(tz).format(format));
+
+describe('parseICS', () => {
+  it('rejects text that is not iCalendar', () => {
+    expect(() => parseICS('name,city\nAnna,Berlin', 'UTC')).toThrow('not an iCalendar');
+  });
+
+  it('unfolds lines and ignores alarm properties', () => {
+    const [event] = parseICS([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Long',
+      '  title',
+      'DTSTART:20250106T090000Z',
+      'BEGIN:VALARM',
+      'DTSTART:20250101T000000Z',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n'), 'UTC');
+    expect(event.summary).toBe('Long title');
+    expect(event.start.time.toISOString()).toBe('2025-01-06T09:00:00.000Z');
+  });
+});
+
+describe('getBusyBlocks', () => {
+  it('reads zoned times, Windows zone names and durations', () => {
+    const blocks = getBusyBlocks(calendar(
+      ['DTSTART;TZID=Europe/Berlin:20250106T090000', 'DTEND;TZID=Europe/Berlin:20250106T100000'],
+      ['DTSTART;TZID="W. Europe Standard Time":20250107T090000', 'DURATION:PT30M'],
+      ['DTSTART;TZID=/mozilla.org/20050126_1/America/New_York:20250108T090000', 'DURATION:PT1H'],
+    ), 'UTC', NOW);
+    expect(blocks).toEqual([
+      { start: Date.parse('2025-01-06T08:00:00Z'), end: Date.parse('2025-01-06T09:00:00Z') },
+      { start: Date.parse('2025-01-07T08:00:00Z'), end: Date.parse('2025-01-07T08:30:00Z') },
+      { start: Date.parse('2025-01-08T14:00:00Z'), end: Date.parse('2025-01-08T15:00:00Z') },
+    ]);
+  });
+
+  it('counts excluded dates towards COUNT', () => {
+    const blocks = getBusyBlocks(calendar([
+      'DTSTART;TZID=Europe/Berlin:20250106T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY;COUNT=4',
+      'EXDATE;TZID=Europe/Berlin:20250113T090000',
+    ]), 'UTC', NOW);
+    expect(starts(blocks, 'Europe/Berlin')).toEqual(['2025-01-06 09:00', '2025-01-20 09:00', '2025-01-27 09:00']);
+  });
+
+  it('expands weekly BYDAY and keeps the wall clock across DST', () => {
+    const blocks = getBusyBlocks(calendar([
+      'DTSTART;TZID=Europe/Berlin:20250324T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=6',
+    ]), 'UTC', NOW);
+    expect(starts(blocks, 'Europe/Berlin', 'ddd DD HH:mm')).toEqual(['Mon 24 09:00', 'Wed 26 09:00', 'Fri 28 09:00', 'Mon 31 09:00', 'Wed 02 09:00', 'Fri 04 09:00']);
+    // Berlin switched to summer time on 30 March
+    expect(starts(blocks).slice(2, 4)).toEqual(['2025-03-28 08:00', '2025-03-31 07:00']);
+  });
+
+  it('expands monthly ordinal weekdays and BYSETPOS', () => {
+    const blocks = getBusyBlocks(calendar(
+      ['DTSTART:20250131T150000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'],
+      ['DTSTART:20250103T100000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1;COUNT=3'],
+    ), 'UTC', NOW);
+    expect(starts(blocks, 'UTC', 'ddd YYYY-MM-DD')).toEqual([
+      'Fri 2025-01-03', 'Fri 2025-01-31', 'Mon 2025-02-03', 'Fri 2025-02-28', 'Mon 2025-03-03', 'Fri 2025-03-28',
+    ]);
+  });
+
+  it('skips months without the 31st', () => {
+    const blocks = getBusyBlocks(calendar(['DTSTART:20250131T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;COUNT=4']), 'UTC', NOW);
+    expect(starts(blocks, 'UTC', 'YYYY-MM-DD')).toEqual(['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+  });
+
+  it('includes the whole day of a date-only UNTIL', () => {
+    const blocks = getBusyBlocks(calendar([
+      'DTSTART;TZID=America/New_York:20250106T170000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=DAILY;UNTIL=20250108',
+    ]), 'UTC', NOW);
+    expect(starts(blocks, 'America/New_York')).toEqual(['2025-01-06 17:00', '2025-01-07 17:00', '2025-01-08 17:00']);
+  });
+
+  it('reads all-day events in the default zone', () => {
+    const blocks = getBusyBlocks(calendar(['DTSTART;VALUE=DATE:20250110', 'DTEND;VALUE=DATE:20250112']), 'Asia/Tokyo', NOW);
+    expect(blocks).toEqual([{ start: Date.parse('2025-01-09T15:00:00Z'), end: Date.parse('2025-01-11T15:00:00Z') }]);
+  });
+
+  it('replaces overridden instances and drops cancelled ones', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'DTSTART:20250106T090000Z',
+      'DURATION:PT30M',
+      'RRULE:FREQ=DAILY;COUNT=4',
+      'END:VEVENT',
+      // The second instance moved to the afternoon
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'RECURRENCE-ID:20250107T090000Z',
+      'DTSTART:20250107T140000Z',
+      'DURATION:PT30M',
+      'END:VEVENT',
+      // The third instance was cancelled
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'RECURRENCE-ID:20250108T090000Z',
+      'DTSTART:20250108T090000Z',
+      'DURATION:PT30M',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    expect(starts(getBusyBlocks(text, 'UTC', NOW))).toEqual(['2025-01-06 09:00', '2025-01-07 14:00', '2025-01-09 09:00']);
+  });
+
+  it('ignores free and cancelled events', () => {
+    const blocks = getBusyBlocks(calendar(
+      ['DTSTART:20250106T090000Z', 'DURATION:PT1H', 'TRANSP:TRANSPARENT'],
+      ['DTSTART:20250107T090000Z', 'DURATION:PT1H', 'STATUS:CANCELLED'],
+      ['DTSTART:20250108T090000Z', 'DURATION:PT1H', 'TRANSP:OPAQUE', 'STATUS:CONFIRMED'],
+    ), 'UTC', NOW);
+    expect(starts(blocks)).toEqual(['2025-01-08 09:00']);
+  });
+
+  it('merges overlapping events', () => {
+    const blocks = getBusyBlocks(calendar(
+      ['DTSTART:20250106T090000Z', 'DTEND:20250106T100000Z'],
+      ['DTSTART:20250106T093000Z', 'DTEND:20250106T110000Z'],
+    ), 'UTC', NOW);
+    expect(blocks).toEqual([{ start: Date.parse('2025-01-06T09:00:00Z'), end: Date.parse('2025-01-06T11:00:00Z') }]);
+  });
+
+  it('keeps upcoming busy time when there are more blocks than the cap', () => {
+    // Fourteen daily events from a month ago, each in its own hour
+    const events = Array.from({ length: 14 }, (_, h) => [
+      `DTSTART:20241201T${String(h + 6).padStart(2, '0')}0000Z`,
+      'DURATION:PT30M',
+      'RRULE:FREQ=DAILY',
+    ]);
+    const blocks = getBusyBlocks(calendar(...events), 'UTC', NOW);
+    expect(blocks).toHaveLength(MAX_BUSY_BLOCKS);
+    expect(blocks[0].end).toBeGreaterThan(NOW.valueOf());
+    expect(moment(blocks[0].start).toISOString()).toBe('2025-01-01T06:00:00.000Z');
+  });
+});
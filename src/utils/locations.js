@@ -0,0 +1,118 @@
+import { DateTime } from 'luxon';
+import moment from 'moment-timezone';
+import ct from 'countries-and-timezones';
+import tzlookup from 'tz-lookup';
+import countries from '../components/data/countries.geo.json';
+import { resolveSubdivision } from './subdivisions';
+import { createSpatialIndex } from './spatialIndex';
+import { createParticipantId } from './participants';
+import { getCitiesInCountry } from './gazetteer';
+import { formatOffset } from './zones';
+
+// Helper to get timezone from lat/lng using tz-lookup (no API, no token)
+export function getTimezone(lat, lng) {
+  try {
+    return tzlookup(lat, lng);
+  } catch {
+    return null;
+  }
+}
+
+// Country polygons indexed once for every lookup in the app
+const countryIndex = createSpatialIndex(countries.features);
+
+// Country/region, ISO code and (where the zone tells) ISO 3166-2 subdivision
+// of a point in one call, using the bundled GeoJSON (no API, no token)
+export function lookupPlace(lat, lng, timezone = getTimezone(lat, lng)) {
+  const feature = countryIndex.find(lat, lng);
+  const iso2 = feature ? feature.properties['ISO3166-1-Alpha-2'] || '' : '';
+  return {
+    name: feature ? feature.properties.name || feature.properties.ADMIN || feature.properties.NAME || 'Unknown' : 'Unknown',
+    iso2,
+    subdivision: resolveSubdivision(iso2, timezone),
+  };
+}
+
+// Build a participant for a point; map clicks, city search and roster import all go through here
+export function createParticipant(lat, lng) {
+  // Get timezone and country/region
+  const timezone = getTimezone(lat, lng);
+  const place = lookupPlace(lat, lng, timezone);
+  let tz = timezone || 'UTC';
+  let warning = '';
+  if (!timezone) {
+    warning = ' (Timezone could not be detected, using UTC)';
+  }
+  const now = DateTime.now().setZone(tz);
+  return {
+    id: createParticipantId(),
+    name: place.name, // Place label (country/region)
+    person: '', // Attendee name, role and attendance are edited in the Selected Participants panel
+    role: '',
+    required: true,
+    iso2: place.iso2,
+    subdivision: place.subdivision, // ISO 3166-2 code for regional holidays, when known
+    timezone: tz + warning,
+    time: now.toFormat('HH:mm, ccc'),
+    lat,
+    lng,
+    availability: null, // Own awake window { start, end }; null uses the planner default
+    weekendDays: null, // Own weekend days (0 = Sunday); null uses the country's work week
+    timeOff: [], // Own blocked dates, see utils/timeOff
+    busy: null, // Busy blocks imported from their calendar; kept out of plan links
+    busySource: null,
+  };
+}
+
+// The same attendee at a new point: place, zone and region are looked up
+// again, while the id and everything about the person stay
+export function moveParticipant(participant, lat, lng) {
+  const moved = createParticipant(lat, lng);
+  return {
+    ...participant,
+    name: moved.name,
+    iso2: moved.iso2,
+    subdivision: moved.subdivision,
+    timezone: moved.timezone,
+    time: moved.time,
+    lat,
+    lng,
+  };
+}
+
+// Give a participant an explicit zone instead of the one found for its point
+export function withTimezone(participant, tz) {
+  if (participant.timezone === tz) return participant;
+  return {
+    ...participant,
+    timezone: tz,
+    time: moment().tz(tz).format('HH:mm, ddd'),
+    subdivision: resolveSubdivision(participant.iso2, tz),
+  };
+}
+
+// The largest bundled city that lies in a zone, or null
+export function findCityInZone(tz) {
+  const zone = ct.getTimezone(tz);
+  for (const iso2 of (zone && zone.countries) || []) {
+    const city = getCitiesInCountry(iso2).find(c => getTimezone(c.lat, c.lng) === tz);
+    if (city) return city;
+  }
+  return null;
+}
+
+// A participant for a zone alone, placed at the zone's largest city. Zones
+// without one (Etc/GMT+5, Antarctic stations) go on the equator at their
+// offset's meridian and are named after the zone.
+export function createParticipantForZone(tz) {
+  const city = findCityInZone(tz);
+  if (city) return withTimezone(createParticipant(city.lat, city.lng), tz);
+  const offset = moment.tz(tz).utcOffset();
+  const zone = ct.getTimezone(tz);
+  return withTimezone({
+    ...createParticipant(0, Math.max(-180, Math.min(180, offset / 4))),
+    name: tz.startsWith('Etc/') ? formatOffset(offset) : tz.split('/').pop().replace(/_/g, ' '),
+    iso2: (zone && zone.countries[0]) || '',
+    subdivision: null,
+  }, tz);
+}
@@ -0,0 +1,17 @@
+import { getParticipantLabel } from './participants';
+
+// Escape text for use inside HTML markup; names come from links, saved
+// groups and roster files and must never be read as markup
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Permanent tooltip of a participant's map marker: label, local time and zone
+export function getMarkerTooltipHtml(participant, time) {
+  return `<div><strong>${escapeHtml(getParticipantLabel(participant))}</strong><br/>${escapeHtml(time)}<br/><span style='font-size:0.8em;'>${escapeHtml(participant.timezone)}</span></div>`;
+}
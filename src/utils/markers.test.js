@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml, getMarkerTooltipHtml } from './markers';
+
+describe('escapeHtml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeHtml(`<b>"Tom" & 'Jerry'</b>`)).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  });
+});
+
+describe('getMarkerTooltipHtml', () => {
+  it('shows names with < and & as text', () => {
+    const participant = { name: 'R&D <Lab>', person: 'Ann <img src=x onerror=alert(1)> & Bo', timezone: 'Europe/Berlin' };
+    const html = getMarkerTooltipHtml(participant, '09:00, Mon');
+    expect(html).toContain('<strong>Ann &lt;img src=x onerror=alert(1)&gt; &amp; Bo (R&amp;D &lt;Lab&gt;)</strong>');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('09:00, Mon');
+    expect(html).toContain('Europe/Berlin');
+  });
+
+  it('uses the place alone when the person has no name', () => {
+    expect(getMarkerTooltipHtml({ name: 'A & B', person: '', timezone: 'UTC' }, '12:00, Tue')).toContain('<strong>A &amp; B</strong>');
+  });
+});
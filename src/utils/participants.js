@@ -0,0 +1,26 @@
+let idCounter = 0;
+
+// Participant ids are independent of the location, so several people can
+// share one place
+export function createParticipantId() {
+  idCounter += 1;
+  return `p${Date.now().toString(36)}${idCounter.toString(36)}`;
+}
+
+// Display label: the person when named, with their place for context
+export function getParticipantLabel(participant) {
+  return participant.person ? `${participant.person} (${participant.name})` : participant.name;
+}
+
+// Participants are required unless explicitly marked optional
+export function isRequired(participant) {
+  return participant.required !== false;
+}
+
+export function getRequiredParticipants(participants) {
+  return participants.filter(isRequired);
+}
+
+export function getOptionalParticipants(participants) {
+  return participants.filter(p => !isRequired(p));
+}
@@ -0,0 +1,193 @@
+import moment from 'moment-timezone';
+import { SLOT_STEPS, clampDuration, getParticipantTimezone } from './availability';
+import { createParticipantId } from './participants';
+import { DEFAULT_RECURRENCE } from './recurrence';
+import { decodeBlocks, encodeBlocks } from './timeOff';
+
+// Bump when the hash layout changes; older links are decoded by version.
+// v1: selected slot as whole hour 'h'. v2: slot step 'g' and selected slot 'm' in minutes,
+// optional meeting duration 'du' in minutes and recurrence 'r' (frequency.count or frequency.until).
+// v3: participant time off and organisation holidays 'o'.
+export const PLAN_VERSION = 3;
+
+const FILTER_CODES = { workday: 'w', weekend: 'e', holiday: 'h' };
+const FILTER_TYPES = Object.fromEntries(Object.entries(FILTER_CODES).map(([k, v]) => [v, k]));
+const FREQUENCY_CODES = { weekly: 'w', biweekly: 'b', monthly: 'm' };
+const FREQUENCIES = Object.fromEntries(Object.entries(FREQUENCY_CODES).map(([k, v]) => [v, k]));
+
+// Round coordinates so links stay short (4 decimals is ~11m)
+function roundCoord(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+// One participant per entry:
+// lat,lng,iso2,timezone,name[,start-end[,weekend days[,subdivision[,person[,role[,'o' if optional[,time off]]]]]]]
+// (each field URI-encoded; trailing overrides are omitted when they are the default)
+function encodeParticipant(p) {
+  const fields = [
+    roundCoord(p.lat),
+    roundCoord(p.lng),
+    p.iso2 || '',
+    getParticipantTimezone(p),
+    p.name,
+  ];
+  fields.push(p.availability ? `${p.availability.start}-${p.availability.end}` : '');
+  // '-' marks an override with no weekend days at all
+  fields.push(p.weekendDays ? p.weekendDays.join('') || '-' : '');
+  fields.push(p.subdivision || '');
+  fields.push(p.person || '');
+  fields.push(p.role || '');
+  fields.push(p.required === false ? 'o' : '');
+  fields.push(encodeBlocks(p.timeOff));
+  while (fields[fields.length - 1] === '') fields.pop();
+  return fields.map(v => encodeURIComponent(v)).join(',');
+}
+
+// Free text from a link: no control characters or markup brackets, bounded length
+function cleanText(value, maxLength = 100) {
+  return String(value || '').replace(/[\u0000-\u001f\u007f<>]/g, '').trim().slice(0, maxLength);
+}
+
+function decodeAvailability(value) {
+  const [start, end] = (value || '').split('-').map(Number);
+  if (!Number.isInteger(start) || !Number.isInteger(end)) return null;
+  if (start < 0 || start > 23 || end < 1 || end > 24) return null;
+  return { start, end };
+}
+
+function decodeWeekendDays(value) {
+  if (value === '-') return [];
+  if (!value || !/^[0-6]+$/.test(value)) return null;
+  return Array.from(new Set(value.split('').map(Number)));
+}
+
+// 'w.6' = weekly, 6 occurrences; 'b.2025-06-30' = every 2 weeks until that day
+function encodeRecurrence(r) {
+  return `${FREQUENCY_CODES[r.frequency]}.${r.endType === 'until' && r.until ? r.until : r.count}`;
+}
+
+function decodeRecurrence(value) {
+  const [code, end] = (value || '').split('.');
+  const frequency = FREQUENCIES[code];
+  if (!frequency) return DEFAULT_RECURRENCE;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(end || '') && moment(end, 'YYYY-MM-DD', true).isValid()) {
+    return { ...DEFAULT_RECURRENCE, frequency, endType: 'until', until: end };
+  }
+  const count = Number(end);
+  return { ...DEFAULT_RECURRENCE, frequency, count: Number.isInteger(count) && count > 0 ? count : DEFAULT_RECURRENCE.count };
+}
+
+// null for an entry that cannot be decoded, e.g. broken percent-encoding
+function decodeParticipant(entry) {
+  let fields;
+  try {
+    fields = entry.split(',').map(v => decodeURIComponent(v));
+  } catch {
+    return null;
+  }
+  const [lat, lng, iso2, timezone, name, window, weekend, subdivision, person, role, optional, timeOff] = fields;
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (!isFinite(latNum) || !isFinite(lngNum) || !timezone || !moment.tz.zone(timezone)) return null;
+  return {
+    id: createParticipantId(),
+    name: cleanText(name) || 'Unknown',
+    person: person || '',
+    role: role || '',
+    required: optional !== 'o',
+    iso2: iso2 || '',
+    timezone,
+    time: moment().tz(timezone).format('HH:mm, ddd'),
+    lat: latNum,
+    lng: lngNum,
+    availability: decodeAvailability(window),
+    weekendDays: decodeWeekendDays(weekend),
+    subdivision: subdivision && /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(subdivision) ? subdivision : null,
+    timeOff: decodeBlocks(timeOff),
+  };
+}
+
+// A participant list in the same compact form used in plan links
+export function encodeParticipants(participants) {
+  return participants.map(encodeParticipant).join('|');
+}
+
+// Invalid entries are dropped; the others are kept
+export function decodeParticipants(value) {
+  return (value || '')
+    .split('|')
+    .filter(Boolean)
+    .map(decodeParticipant)
+    .filter(Boolean);
+}
+
+// Values are URI-encoded piecewise so the ',' and '|' separators stay readable
+function parseHash(hash) {
+  const params = new Map();
+  (hash || '').replace(/^#/, '').split('&').forEach(pair => {
+    const idx = pair.indexOf('=');
+    if (idx > 0) params.set(pair.slice(0, idx), pair.slice(idx + 1));
+  });
+  return params;
+}
+
+// Serialize planner state into a compact URL hash (without the leading '#')
+export function encodePlan(plan) {
+  const params = [['v', PLAN_VERSION]];
+  if (plan.participants.length > 0) {
+    params.push(['p', encodeParticipants(plan.participants)]);
+  }
+  params.push(['tz', encodeURIComponent(plan.calendarTz)]);
+  params.push(['f', FILTER_CODES[plan.filterType] || 'w']);
+  params.push(['a', `${plan.awakeStart}-${plan.awakeEnd}`]);
+  if (plan.selectedDate) params.push(['d', moment(plan.selectedDate).format('YYYY-MM-DD')]);
+  params.push(['g', plan.slotStep]);
+  params.push(['du', plan.meetingDuration]);
+  if (plan.selectedSlot !== null && plan.selectedSlot !== undefined) params.push(['m', plan.selectedSlot]);
+  if (plan.recurrence && plan.recurrence.frequency !== 'none') params.push(['r', encodeRecurrence(plan.recurrence)]);
+  if (plan.orgHolidays && plan.orgHolidays.length > 0) params.push(['o', encodeURIComponent(encodeBlocks(plan.orgHolidays))]);
+  params.push(['s', plan.step]);
+  return params.map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+// Parse a URL hash produced by encodePlan. Returns null when there is no plan,
+// it was written by an unknown version, or it is malformed.
+export function decodePlan(hash) {
+  try {
+    return decodePlanParams(parseHash(hash));
+  } catch {
+    return null;
+  }
+}
+
+function decodePlanParams(params) {
+  const version = Number(params.get('v'));
+  if (!Number.isInteger(version) || version < 1 || version > PLAN_VERSION) return null;
+
+  const participants = decodeParticipants(params.get('p'));
+  const tz = params.has('tz') ? decodeURIComponent(params.get('tz')) : null;
+  const [awakeStart, awakeEnd] = (params.get('a') || '').split('-').map(Number);
+  const date = params.get('d') ? moment(params.get('d'), 'YYYY-MM-DD', true) : null;
+  const requestedStep = version >= 2 ? Number(params.get('g')) : 60;
+  const slotStep = SLOT_STEPS.includes(requestedStep) ? requestedStep : 60;
+  let slot = null;
+  if (version >= 2 && params.has('m')) slot = Number(params.get('m'));
+  if (version === 1 && params.has('h')) slot = Number(params.get('h')) * 60;
+  const duration = params.has('du') ? Number(params.get('du')) : NaN;
+  const step = Number(params.get('s'));
+
+  return {
+    participants,
+    calendarTz: tz && moment.tz.zone(tz) ? tz : 'UTC',
+    filterType: FILTER_TYPES[params.get('f')] || 'workday',
+    awakeStart: Number.isInteger(awakeStart) && awakeStart >= 0 && awakeStart <= 23 ? awakeStart : 8,
+    awakeEnd: Number.isInteger(awakeEnd) && awakeEnd >= 1 && awakeEnd <= 24 ? awakeEnd : 22,
+    selectedDate: date && date.isValid() ? date.toDate() : null,
+    slotStep,
+    recurrence: decodeRecurrence(params.get('r')),
+    orgHolidays: params.has('o') ? decodeBlocks(decodeURIComponent(params.get('o'))) : [],
+    meetingDuration: isFinite(duration) ? clampDuration(duration) : 60,
+    selectedSlot: Number.isInteger(slot) && slot >= 0 && slot < 24 * 60 && slot % slotStep === 0 ? slot : null,
+    step: Number.isInteger(step) && step >= 0 && step <= 3 ? step : 0,
+  };
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { decodeParticipants, decodePlan, encodeParticipants, encodePlan } from './planUrl';
+import { clampDuration } from './availability';
+
+const berlin = {
+  id: 'a', name: 'Germany', person: 'Anna', role: 'Lead', required: true, iso2: 'DE', timezone: 'Europe/Berlin',
+  lat: 52.52, lng: 13.405, availability: { start: 9, end: 17 }, weekendDays: null, subdivision: 'DE-BE',
+  timeOff: [{ start: '2025-07-01', end: '2025-07-14', label: 'Summer' }],
+};
+
+describe('decodeParticipants', () => {
+  it('round-trips participants', () => {
+    const [p] = decodeParticipants(encodeParticipants([berlin]));
+    expect(p).toMatchObject({ name: 'Germany', person: 'Anna', role: 'Lead', timezone: 'Europe/Berlin', availability: { start: 9, end: 17 }, subdivision: 'DE-BE' });
+    expect(p.timeOff).toEqual(berlin.timeOff);
+  });
+
+  it('drops only the entry with broken percent-encoding', () => {
+    const good = encodeParticipants([berlin]);
+    const participants = decodeParticipants(`0,0,,UTC,%E0%A4%A|${good}`);
+    expect(participants).toHaveLength(1);
+    expect(participants[0].person).toBe('Anna');
+  });
+
+  it('drops a time off block with a broken label but keeps the participant', () => {
+    const [p] = decodeParticipants('0,0,,UTC,Here,,,,,,,20250701~%25E0%25A4%25A%3B20250801~Trip');
+    expect(p.timeOff).toEqual([{ start: '2025-08-01', end: '2025-08-01', label: 'Trip' }]);
+  });
+});
+
+describe('decodePlan', () => {
+  it('does not take markup from a place name', () => {
+    const plan = decodePlan('#v=3&p=10,10,,UTC,%3Cimg%20src%3Dx%20onerror%3Dalert(1)%3E');
+    expect(plan.participants[0].name).not.toMatch(/[<>]/);
+  });
+});
+
+describe('meeting duration', () => {
+  const plan = meetingDuration => ({
+    participants: [], calendarTz: 'UTC', filterType: 'workday', awakeStart: 8, awakeEnd: 22, selectedDate: null,
+    slotStep: 60, meetingDuration, selectedSlot: null, recurrence: null, orgHolidays: [], step: 0,
+  });
+
+  it('keeps every length the duration input allows', () => {
+    [15, 50, 95, 720].forEach(minutes => {
+      expect(decodePlan(`#${encodePlan(plan(minutes))}`).meetingDuration).toBe(minutes);
+    });
+  });
+
+  it('clamps and rounds like the duration input', () => {
+    [0, 7, 52, 1000, 50.4].forEach(minutes => {
+      expect(decodePlan(`#${encodePlan(plan(minutes))}`).meetingDuration).toBe(clampDuration(minutes));
+    });
+    expect(clampDuration(1000)).toBe(720);
+    expect(clampDuration(52)).toBe(50);
+    expect(clampDuration('')).toBe(15);
+  });
+});
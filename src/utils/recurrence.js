@@ -0,0 +1,84 @@
+import moment from 'moment-timezone';
+import { getParticipantTimezone, isBusyDuring, isWithinWindowThroughout } from './availability';
+
+// Recurrence: { frequency: 'none' | 'weekly' | 'biweekly' | 'monthly', endType: 'count' | 'until', count, until: 'YYYY-MM-DD' }
+export const DEFAULT_RECURRENCE = { frequency: 'none', endType: 'count', count: 6, until: null };
+export const RECURRENCE_FREQUENCIES = ['none', 'weekly', 'biweekly', 'monthly'];
+
+// Hard cap so an open-ended "until" cannot expand forever
+export const MAX_OCCURRENCES = 200;
+
+// End of the series' last day in tz, for 'until' recurrences
+export function getUntil(recurrence, tz) {
+  if (!recurrence || recurrence.endType !== 'until' || !recurrence.until) return null;
+  return moment.tz(recurrence.until, 'YYYY-MM-DD', tz).endOf('day');
+}
+
+// RFC 5545 RRULE value for a recurrence, or null for a single meeting
+export function toRRule(recurrence, tz) {
+  if (!recurrence || recurrence.frequency === 'none') return null;
+  const parts = [
+    `FREQ=${recurrence.frequency === 'monthly' ? 'MONTHLY' : 'WEEKLY'}`,
+  ];
+  if (recurrence.frequency === 'biweekly') parts.push('INTERVAL=2');
+  const until = getUntil(recurrence, tz);
+  if (until) parts.push(`UNTIL=${until.clone().utc().format('YYYYMMDD[T]HHmmss[Z]')}`);
+  else parts.push(`COUNT=${recurrence.endType === 'count' ? Math.min(Math.max(1, recurrence.count || 1), MAX_OCCURRENCES) : 1}`);
+  return parts.join(';');
+}
+
+// Expand a series into start instants. Occurrences keep the wall-clock time
+// of start in tz, so a DST change in tz itself never moves the meeting there.
+// Monthly series skip months without the start's day (RFC 5545 semantics).
+// The start itself always counts, even with an until date before it.
+export function expandOccurrences(start, tz, recurrence) {
+  const first = start.clone().tz(tz);
+  if (!recurrence || recurrence.frequency === 'none') return [first];
+  const until = getUntil(recurrence, tz);
+  let limit = MAX_OCCURRENCES;
+  if (recurrence.endType === 'count') limit = Math.min(Math.max(1, recurrence.count || 1), MAX_OCCURRENCES);
+  else if (!until) limit = 1;
+
+  const occurrences = [];
+  for (let k = 0; occurrences.length < limit; k++) {
+    let next;
+    if (recurrence.frequency === 'monthly') {
+      next = first.clone().add(k, 'months');
+      if (next.date() !== first.date()) {
+        if (k > MAX_OCCURRENCES * 2) break;
+        continue;
+      }
+    } else {
+      next = first.clone().add(k * (recurrence.frequency === 'biweekly' ? 14 : 7), 'days');
+    }
+    if (k > 0 && until && next.isAfter(until)) break;
+    occurrences.push(next);
+  }
+  return occurrences;
+}
+
+// Local time of every participant for every occurrence, flagging the ones
+// outside their window, busy per their imported calendar, on a local holiday,
+// or shifted against the first occurrence (their offset to tz changed,
+// usually because one side switched DST).
+export function analyzeSeries({ occurrences, participants, defaults, durationMinutes, isHoliday }) {
+  const firstOffsets = {};
+  return occurrences.map((instant, idx) => ({
+    instant,
+    entries: participants.map(p => {
+      const local = instant.clone().tz(getParticipantTimezone(p));
+      // Offset of the participant relative to the series' own time zone
+      const relativeOffset = local.utcOffset() - instant.utcOffset();
+      if (idx === 0) firstOffsets[p.id] = relativeOffset;
+      const shiftMinutes = relativeOffset - firstOffsets[p.id];
+      return {
+        participant: p,
+        local,
+        outsideWindow: !isWithinWindowThroughout(instant, durationMinutes, p, defaults),
+        busy: isBusyDuring(instant, durationMinutes, p),
+        holiday: isHoliday(p, local.format('YYYY-MM-DD')),
+        shiftMinutes,
+      };
+    }),
+  }));
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import moment from 'moment-timezone';
+import { expandOccurrences, toRRule, MAX_OCCURRENCES } from './recurrence';
+
+const start = moment.tz('2025-03-03 09:00', 'Europe/Berlin');
+const days = occurrences => occurrences.map(o => o.format('YYYY-MM-DD HH:mm'));
+
+describe('expandOccurrences', () => {
+  it('returns only the start for a single meeting', () => {
+    expect(days(expandOccurrences(start, 'Europe/Berlin', { frequency: 'none' }))).toEqual(['2025-03-03 09:00']);
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const series = expandOccurrences(start, 'Europe/Berlin', { frequency: 'weekly', endType: 'count', count: 5, until: null });
+    expect(days(series)).toEqual(['2025-03-03 09:00', '2025-03-10 09:00', '2025-03-17 09:00', '2025-03-24 09:00', '2025-03-31 09:00']);
+  });
+
+  it('stops after the until date', () => {
+    const series = expandOccurrences(start, 'Europe/Berlin', { frequency: 'biweekly', endType: 'until', count: 6, until: '2025-03-31' });
+    expect(days(series)).toEqual(['2025-03-03 09:00', '2025-03-17 09:00', '2025-03-31 09:00']);
+  });
+
+  it('keeps the first meeting when the until date is before it', () => {
+    // e.g. half-typed into a date input as 0002-03-01
+    const series = expandOccurrences(start, 'Europe/Berlin', { frequency: 'weekly', endType: 'until', count: 6, until: '0002-03-01' });
+    expect(days(series)).toEqual(['2025-03-03 09:00']);
+  });
+
+  it('skips months without the start day', () => {
+    const end = moment.tz('2025-01-31 09:00', 'UTC');
+    const series = expandOccurrences(end, 'UTC', { frequency: 'monthly', endType: 'count', count: 3, until: null });
+    expect(days(series)).toEqual(['2025-01-31 09:00', '2025-03-31 09:00', '2025-05-31 09:00']);
+  });
+
+  it('caps open-ended series', () => {
+    const series = expandOccurrences(start, 'Europe/Berlin', { frequency: 'weekly', endType: 'until', count: 6, until: '2100-01-01' });
+    expect(series).toHaveLength(MAX_OCCURRENCES);
+  });
+});
+
+describe('toRRule', () => {
+  it('writes the count or the end of the until day in UTC', () => {
+    expect(toRRule({ frequency: 'biweekly', endType: 'count', count: 4 }, 'Europe/Berlin')).toBe('FREQ=WEEKLY;INTERVAL=2;COUNT=4');
+    expect(toRRule({ frequency: 'monthly', endType: 'until', until: '2025-06-30' }, 'Europe/Berlin')).toBe('FREQ=MONTHLY;UNTIL=20250630T215959Z');
+    expect(toRRule({ frequency: 'none' }, 'Europe/Berlin')).toBeNull();
+  });
+});
@@ -0,0 +1,232 @@
+import ct from 'countries-and-timezones';
+import moment from 'moment-timezone';
+import { getParticipantTimezone } from './availability';
+import { findExactCities } from './gazetteer';
+import { createParticipant, createParticipantForZone, getTimezone, withTimezone } from './locations';
+import { WEEKDAY_LABELS } from './workWeek';
+
+// Rosters are tables with one participant per row. Recognised columns (header
+// names are case-insensitive, common aliases accepted):
+//   name, role, required (yes/no), city, lat, lng, timezone (IANA),
+//   hours (e.g. 9-17), weekend (e.g. "Fri Sat", or "none"), region (ISO 3166-2)
+// Each row needs a location: lat/lng, a city, or at least a time zone.
+// Exports write the place label instead of a city; lat/lng locate the row.
+export const EXPORT_COLUMNS = ['name', 'role', 'required', 'place', 'lat', 'lng', 'timezone', 'hours', 'weekend', 'region'];
+
+const COLUMN_ALIASES = {
+  person: 'name',
+  attendee: 'name',
+  location: 'city',
+  latitude: 'lat',
+  lon: 'lng',
+  long: 'lng',
+  longitude: 'lng',
+  tz: 'timezone',
+  'time zone': 'timezone',
+  'working hours': 'hours',
+  subdivision: 'region',
+};
+
+function normalizeColumn(name) {
+  const key = String(name).trim().toLowerCase();
+  return COLUMN_ALIASES[key] || key;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (inQuotes) throw new Error('The CSV file has an unterminated quoted field.');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Rows as { line, values } with normalised column names; line is the row's
+// line in a spreadsheet (CSV) or its position in the list (JSON)
+export function parseRoster(text, filename = '') {
+  const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error('The roster is empty.');
+
+  if (/\.json$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The file is not valid JSON.');
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.participants;
+    if (!Array.isArray(list)) throw new Error('A JSON roster must be a list of participants (or { "participants": [...] }).');
+    return list.map((item, idx) => ({
+      line: idx + 1,
+      values: Object.fromEntries(Object.entries(item && typeof item === 'object' ? item : {}).map(([k, v]) => [normalizeColumn(k), v === null || v === undefined ? '' : String(v)])),
+    }));
+  }
+
+  const [header, ...body] = parseCSV(trimmed);
+  const columns = header.map(normalizeColumn);
+  if (!columns.some(c => ['lat', 'city', 'timezone'].includes(c))) {
+    throw new Error('The CSV header needs a city, lat/lng or timezone column.');
+  }
+  return body
+    .map((cells, idx) => ({ line: idx + 2, values: Object.fromEntries(columns.map((c, i) => [c, (cells[i] || '').trim()])) }))
+    .filter(row => Object.values(row.values).some(Boolean));
+}
+
+// Canonical IANA name for a zone known to countries-and-timezones (and to
+// moment-timezone, which does the conversions), or null
+function resolveZone(name) {
+  const zone = ct.getTimezone(name);
+  if (!zone) return null;
+  const canonical = zone.aliasOf && moment.tz.zone(zone.aliasOf) ? zone.aliasOf : zone.name;
+  return moment.tz.zone(canonical) ? canonical : null;
+}
+
+function parseRequired(value) {
+  const v = value.trim().toLowerCase();
+  if (['', 'yes', 'y', 'true', '1', 'required'].includes(v)) return true;
+  if (['no', 'n', 'false', '0', 'optional'].includes(v)) return false;
+  throw new Error(`"required" must be yes or no, not "${value}".`);
+}
+
+// "9-17" or "09:00-17:00"; the planner works in whole hours
+function parseHours(value) {
+  const match = /^(\d{1,2})(?::00)?\s*[-–]\s*(\d{1,2})(?::00)?$/.exec(value.trim());
+  const start = match ? Number(match[1]) : NaN;
+  const end = match ? Number(match[2]) : NaN;
+  if (!(start >= 0 && start <= 23 && end >= 1 && end <= 24)) {
+    throw new Error(`Working hours must be whole hours like 9-17, not "${value}".`);
+  }
+  return { start, end };
+}
+
+function parseWeekend(value) {
+  const v = value.trim().toLowerCase();
+  if (['none', '-'].includes(v)) return [];
+  const days = v.split(/[\s,;+/]+/).filter(Boolean).map(d => WEEKDAY_LABELS.findIndex(l => l.toLowerCase() === d.slice(0, 3)));
+  if (days.includes(-1)) throw new Error(`Weekend days must be like "Sat Sun" or "none", not "${value}".`);
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+// The one bundled city a roster's city cell names. Only exact names count
+// ("Porto" is never Porto Alegre); a name shared by several cities needs the
+// country ("Victoria, CA") or a time zone that tells them apart.
+function resolveCity(name, timezone) {
+  let matches = findExactCities(name);
+  if (matches.length === 0) throw new Error(`Unknown city "${name}".`);
+  if (matches.length > 1 && timezone) {
+    const inZone = matches.filter(city => getTimezone(city.lat, city.lng) === timezone);
+    if (inZone.length > 0) matches = inZone;
+  }
+  if (matches.length > 1) {
+    const options = matches.slice(0, 4).map(city => `${city.name}, ${city.iso2}`).join('; ');
+    throw new Error(`"${name}" matches ${matches.length} cities (${options}${matches.length > 4 ? '; …' : ''}); add the country code.`);
+  }
+  return matches[0];
+}
+
+// One roster row as a participant, built like a map click so it is
+// indistinguishable from one picked on the map. Throws on invalid values.
+function rowToParticipant(values) {
+  let timezone = null;
+  if (values.timezone) {
+    timezone = resolveZone(values.timezone);
+    if (!timezone) throw new Error(`Unknown time zone "${values.timezone}".`);
+  }
+
+  let participant;
+  if (values.lat || values.lng) {
+    const lat = Number(values.lat);
+    const lng = Number(values.lng);
+    if (!values.lat || !values.lng || !isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`Invalid coordinates "${values.lat}, ${values.lng}".`);
+    }
+    participant = createParticipant(lat, lng);
+  } else if (values.city) {
+    const city = resolveCity(values.city, timezone);
+    participant = createParticipant(city.lat, city.lng);
+  } else if (timezone) {
+    participant = createParticipantForZone(timezone);
+  } else {
+    throw new Error('Needs a city, lat/lng or time zone.');
+  }
+  if (timezone) participant = withTimezone(participant, timezone);
+
+  participant.person = (values.name || '').trim();
+  participant.role = (values.role || '').trim();
+  participant.required = parseRequired(values.required || '');
+  if (values.hours) participant.availability = parseHours(values.hours);
+  if (values.weekend) participant.weekendDays = parseWeekend(values.weekend);
+  if (values.region) {
+    if (!/^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(values.region.trim())) throw new Error(`Region must be an ISO 3166-2 code like US-CA, not "${values.region}".`);
+    participant.subdivision = values.region.trim();
+  }
+  return participant;
+}
+
+// Participants for every valid row plus a readable error for each bad one.
+// Throws when the file itself cannot be read.
+export function importRoster(text, filename) {
+  const participants = [];
+  const errors = [];
+  parseRoster(text, filename).forEach(({ line, values }) => {
+    try {
+      participants.push(rowToParticipant(values));
+    } catch (err) {
+      errors.push({ line, message: err.message });
+    }
+  });
+  return { participants, errors };
+}
+
+// Roster row for a participant; only overrides are written, so re-importing
+// falls back to the same defaults
+function participantToRow(p) {
+  return {
+    name: p.person || '',
+    role: p.role || '',
+    required: p.required === false ? 'no' : 'yes',
+    place: p.name || '',
+    lat: String(p.lat),
+    lng: String(p.lng),
+    timezone: getParticipantTimezone(p),
+    hours: p.availability ? `${p.availability.start}-${p.availability.end}` : '',
+    weekend: p.weekendDays ? (p.weekendDays.map(d => WEEKDAY_LABELS[d]).join(' ') || 'none') : '',
+    region: p.subdivision || '',
+  };
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function exportRosterCSV(participants) {
+  const rows = participants.map(participantToRow);
+  return [EXPORT_COLUMNS, ...rows.map(r => EXPORT_COLUMNS.map(c => r[c]))]
+    .map(cells => cells.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+export function exportRosterJSON(participants) {
+  return JSON.stringify(participants.map(participantToRow), null, 2);
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { importRoster, parseRoster, exportRosterCSV, exportRosterJSON } from './roster';
+
+// Country shapes only name the place; the roster logic under test does not need them
+vi.mock('../components/data/countries.geo.json', () => ({ default: { type: 'FeatureCollection', features: [] } }));
+
+describe('parseRoster', () => {
+  it('reads quoted CSV fields with commas, quotes and line breaks', () => {
+    const rows = parseRoster('name,role,city\r\n"Doe, Jane","says ""hi""\nto all",Berlin\r\nBo,,Paris\r\n');
+    expect(rows).toEqual([
+      { line: 2, values: { name: 'Doe, Jane', role: 'says "hi"\nto all', city: 'Berlin' } },
+      { line: 3, values: { name: 'Bo', role: '', city: 'Paris' } },
+    ]);
+  });
+
+  it('accepts column aliases and a byte order mark', () => {
+    const [row] = parseRoster('﻿Attendee,Time Zone\nAnn,Asia/Tokyo');
+    expect(row.values).toEqual({ name: 'Ann', timezone: 'Asia/Tokyo' });
+  });
+
+  it('reads JSON lists and { participants }', () => {
+    expect(parseRoster('[{"name":"Ann","tz":"UTC"}]')[0].values).toEqual({ name: 'Ann', timezone: 'UTC' });
+    expect(parseRoster('{"participants":[{"city":"Oslo"}]}', 'team.json')[0]).toEqual({ line: 1, values: { city: 'Oslo' } });
+  });
+
+  it('rejects unreadable files', () => {
+    expect(() => parseRoster('')).toThrow('empty');
+    expect(() => parseRoster('name,"oops\nAnn,x')).toThrow('unterminated');
+    expect(() => parseRoster('name,role\nAnn,Lead')).toThrow('city, lat/lng or timezone');
+    expect(() => parseRoster('{"people":[]}')).toThrow('list of participants');
+  });
+});
+
+describe('importRoster', () => {
+  it('reports bad rows with their line numbers and keeps the rest', () => {
+    const csv = [
+      'name,city,timezone,hours,required,weekend,region',
+      'Ann,Berlin,,9-17,yes,,',
+      'Bob,Atlantis,,,,,',
+      'Cy,,Mars/Olympus,,,,',
+      'Di,Paris,,9:30-17,,,',
+      'Ed,Tokyo,,,maybe,,',
+      'Flo,Oslo,,,,Fri Someday,',
+      'Gus,Boston,,,,,california',
+      '',
+      'Hal,,,,,,',
+    ].join('\n');
+    const { participants, errors } = importRoster(csv, 'team.csv');
+    expect(participants.map(p => p.person)).toEqual(['Ann']);
+    expect(participants[0]).toMatchObject({ timezone: 'Europe/Berlin', availability: { start: 9, end: 17 }, required: true });
+    expect(errors.map(e => e.line)).toEqual([3, 4, 5, 6, 7, 8, 10]);
+    expect(errors[0].message).toContain('Unknown city "Atlantis"');
+    expect(errors[1].message).toContain('Unknown time zone "Mars/Olympus"');
+    expect(errors[6].message).toContain('Needs a city');
+  });
+
+  it('resolves time zone aliases to canonical names', () => {
+    const { participants } = importRoster('name,timezone\nRavi,Asia/Calcutta\nOla,Europe/Kiev');
+    expect(participants.map(p => p.timezone)).toEqual(['Asia/Kolkata', 'Europe/Kyiv']);
+  });
+
+  it('never swaps a city for a larger one with a longer name', () => {
+    const { participants } = importRoster('name,city\nA,Porto\nB,Bari');
+    expect(participants.map(p => p.timezone)).toEqual(['Europe/Lisbon', 'Europe/Rome']);
+  });
+
+  it('reports shared city names as ambiguous unless the country or zone decides', () => {
+    const { participants, errors } = importRoster('name,city,timezone\nA,Victoria,\nB,"Victoria, CA",\nC,London,Europe/London\nD,London,');
+    expect(participants.map(p => `${p.person} ${p.timezone}`)).toEqual(['B America/Vancouver', 'C Europe/London']);
+    expect(errors.map(e => e.line)).toEqual([2, 5]);
+    expect(errors[0].message).toContain('matches 2 cities');
+  });
+});
+
+describe('export and import', () => {
+  const roster = [
+    'name,role,required,lat,lng,timezone,hours,weekend,region',
+    'Ann,Lead,yes,52.52,13.405,Europe/Berlin,9-17,Sat Sun,DE-BE',
+    '"Doe, Jane",,no,40.7128,-74.006,America/New_York,,none,',
+    'Raj,"Eng, ""infra""",yes,28.6139,77.209,Asia/Kolkata,22-6,Fri Sat,',
+  ].join('\n');
+  const fields = p => ({
+    person: p.person, role: p.role, required: p.required, lat: p.lat, lng: p.lng, timezone: p.timezone,
+    availability: p.availability, weekendDays: p.weekendDays, subdivision: p.subdivision,
+  });
+
+  it('round-trips through CSV', () => {
+    const first = importRoster(roster, 'team.csv');
+    expect(first.errors).toEqual([]);
+    const again = importRoster(exportRosterCSV(first.participants), 'roster.csv');
+    expect(again.errors).toEqual([]);
+    expect(again.participants.map(fields)).toEqual(first.participants.map(fields));
+    expect(first.participants[1]).toMatchObject({ person: 'Doe, Jane', required: false, weekendDays: [] });
+    expect(first.participants[2]).toMatchObject({ role: 'Eng, "infra"', availability: { start: 22, end: 6 }, weekendDays: [5, 6] });
+  });
+
+  it('round-trips through JSON', () => {
+    const { participants } = importRoster(roster, 'team.csv');
+    const again = importRoster(exportRosterJSON(participants), 'roster.json');
+    expect(again.participants.map(fields)).toEqual(participants.map(fields));
+  });
+});
@@ -0,0 +1,87 @@
+// Local persistence for named participant groups and complete saved plans.
+// Groups store participants in the compact link format (encodeParticipants),
+// plans store the full plan hash (encodePlan), so both share the link
+// format's validation and versioning.
+//
+// Group: { id, name, participants: string, updatedAt }
+// Plan:  { id, name, hash: string, updatedAt }
+
+const STORAGE_KEY = 'planner:saved:v1';
+export const EXPORT_FORMAT = 'cross-timezone-meeting-planner';
+export const EXPORT_VERSION = 1;
+
+const empty = () => ({ groups: [], plans: [] });
+
+let idCounter = 0;
+function createId() {
+  idCounter += 1;
+  return `s${Date.now().toString(36)}${idCounter.toString(36)}`;
+}
+
+export function loadSaved(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (data && Array.isArray(data.groups) && Array.isArray(data.plans)) return data;
+  } catch {
+    // Missing or corrupt data starts from an empty library
+  }
+  return empty();
+}
+
+export function persistSaved(data, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch {
+    // Quota exceeded or storage disabled: the library lives for this session only
+  }
+}
+
+// The operations below return a new library; kind is 'groups' or 'plans'
+
+export function addItem(data, kind, item) {
+  const entry = { ...item, id: createId(), updatedAt: Date.now() };
+  return { ...data, [kind]: [...data[kind], entry] };
+}
+
+export function renameItem(data, kind, id, name) {
+  return { ...data, [kind]: data[kind].map(e => (e.id === id ? { ...e, name, updatedAt: Date.now() } : e)) };
+}
+
+export function duplicateItem(data, kind, id) {
+  const source = data[kind].find(e => e.id === id);
+  if (!source) return data;
+  const copy = { ...source, id: createId(), name: `${source.name} (copy)`, updatedAt: Date.now() };
+  const idx = data[kind].indexOf(source);
+  return { ...data, [kind]: [...data[kind].slice(0, idx + 1), copy, ...data[kind].slice(idx + 1)] };
+}
+
+export function deleteItem(data, kind, id) {
+  return { ...data, [kind]: data[kind].filter(e => e.id !== id) };
+}
+
+export function exportSaved(data) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, groups: data.groups, plans: data.plans }, null, 2);
+}
+
+// Merge an exported library into data. Imported entries get fresh ids so they
+// never overwrite local ones. Throws with a readable message on bad input.
+export function importSaved(data, json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!parsed || parsed.format !== EXPORT_FORMAT) throw new Error('The file is not a meeting planner export.');
+  if (parsed.version > EXPORT_VERSION) throw new Error('The file was exported by a newer version of the planner.');
+  const valid = (list, field) =>
+    (Array.isArray(list) ? list : []).filter(e => e && typeof e.name === 'string' && typeof e[field] === 'string');
+  let result = data;
+  valid(parsed.groups, 'participants').forEach(g => {
+    result = addItem(result, 'groups', { name: g.name, participants: g.participants });
+  });
+  valid(parsed.plans, 'hash').forEach(p => {
+    result = addItem(result, 'plans', { name: p.name, hash: p.hash });
+  });
+  return result;
+}
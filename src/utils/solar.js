@@ -0,0 +1,34 @@
+// Low-precision solar position (about 0.01° for dates near J2000), enough to
+// draw the day/night terminator on a world map
+
+const rad = deg => (deg * Math.PI) / 180;
+const deg = r => (r * 180) / Math.PI;
+
+// The point where the sun is directly overhead at an instant
+export function getSubsolarPoint(instant) {
+  const days = instant.valueOf() / 86400000 + 2440587.5 - 2451545.0; // since J2000
+  const meanAnomaly = rad(357.529 + 0.98560028 * days);
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude = rad(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly));
+  const obliquity = rad(23.439 - 0.00000036 * days);
+  const rightAscension = deg(Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)));
+  const declination = deg(Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude)));
+  const siderealDegrees = (18.697374558 + 24.06570982441908 * days) * 15;
+  const lng = ((((rightAscension - siderealDegrees + 180) % 360) + 360) % 360) - 180;
+  return { lat: declination, lng };
+}
+
+// Polygon [[lat, lng], ...] covering the night side, closed over the dark
+// pole. maxLat keeps it inside what a Web Mercator map can show.
+export function getNightPolygon(instant, stepDegrees = 2, maxLat = 85) {
+  const sun = getSubsolarPoint(instant);
+  // At an equinox the terminator runs through both poles; avoid dividing by 0
+  const tanDecl = Math.tan(rad(Math.abs(sun.lat) < 1e-4 ? 1e-4 : sun.lat));
+  const points = [];
+  for (let lng = -180; lng <= 180; lng += stepDegrees) {
+    const lat = deg(Math.atan(-Math.cos(rad(lng - sun.lng)) / tanDecl));
+    points.push([Math.max(-maxLat, Math.min(maxLat, lat)), lng]);
+  }
+  const darkPole = sun.lat > 0 ? -maxLat : maxLat;
+  return [...points, [darkPole, 180], [darkPole, -180]];
+}
@@ -0,0 +1,55 @@
+import * as turf from '@turf/turf';
+
+// Size of a grid cell in degrees. Each cell lists the features whose bounding
+// box overlaps it, so a lookup only tests the few polygons near the point.
+export const CELL_DEGREES = 10;
+
+const COLUMNS = 360 / CELL_DEGREES;
+const ROWS = 180 / CELL_DEGREES;
+
+function cellRange(min, max, offset, count) {
+  const from = Math.max(0, Math.floor((min + offset) / CELL_DEGREES));
+  const to = Math.min(count - 1, Math.floor((max + offset) / CELL_DEGREES));
+  return [from, to];
+}
+
+function isPolygon(feature) {
+  return feature.geometry && (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon');
+}
+
+// Grid index over polygon features, built once. find(lat, lng) returns the
+// first feature containing the point (in input order, like a plain scan) or null.
+export function createSpatialIndex(features) {
+  const entries = features.filter(isPolygon).map(feature => ({ feature, bbox: turf.bbox(feature) }));
+  const cells = new Map();
+  entries.forEach(entry => {
+    const [minLng, minLat, maxLng, maxLat] = entry.bbox;
+    const [c0, c1] = cellRange(minLng, maxLng, 180, COLUMNS);
+    const [r0, r1] = cellRange(minLat, maxLat, 90, ROWS);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const key = r * COLUMNS + c;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(entry);
+      }
+    }
+  });
+
+  function find(lat, lng) {
+    if (!isFinite(lat) || !isFinite(lng)) return null;
+    // Wrap longitudes from a map that was panned around the globe
+    const wrapped = ((((lng + 180) % 360) + 360) % 360) - 180;
+    const c = Math.min(COLUMNS - 1, Math.floor((wrapped + 180) / CELL_DEGREES));
+    const r = Math.min(ROWS - 1, Math.max(0, Math.floor((lat + 90) / CELL_DEGREES)));
+    const candidates = cells.get(r * COLUMNS + c) || [];
+    const pt = turf.point([wrapped, lat]);
+    // Cells keep input order, so the first hit is the one a plain scan finds
+    for (const { feature, bbox: [minLng, minLat, maxLng, maxLat] } of candidates) {
+      if (wrapped < minLng || wrapped > maxLng || lat < minLat || lat > maxLat) continue;
+      if (turf.booleanPointInPolygon(pt, feature)) return feature;
+    }
+    return null;
+  }
+
+  return { find, size: entries.length, cellCount: cells.size };
+}
@@ -0,0 +1,71 @@
+// ISO 3166-2 subdivision codes (as used in nager.at `counties`) for time zones
+// that lie entirely within one subdivision. Zones shared by several
+// subdivisions (America/New_York, Europe/Berlin, ...) are absent; participants
+// there pick their subdivision in the Selected Participants panel.
+const SUBDIVISION_BY_TIMEZONE = {
+  // Australia
+  'Australia/Sydney': 'AU-NSW',
+  'Australia/Broken_Hill': 'AU-NSW',
+  'Australia/Lord_Howe': 'AU-NSW',
+  'Australia/Melbourne': 'AU-VIC',
+  'Australia/Brisbane': 'AU-QLD',
+  'Australia/Lindeman': 'AU-QLD',
+  'Australia/Adelaide': 'AU-SA',
+  'Australia/Perth': 'AU-WA',
+  'Australia/Eucla': 'AU-WA',
+  'Australia/Hobart': 'AU-TAS',
+  'Australia/Darwin': 'AU-NT',
+  // United States
+  'America/Phoenix': 'US-AZ',
+  'Pacific/Honolulu': 'US-HI',
+  'America/Anchorage': 'US-AK',
+  'America/Juneau': 'US-AK',
+  'America/Sitka': 'US-AK',
+  'America/Yakutat': 'US-AK',
+  'America/Nome': 'US-AK',
+  'America/Metlakatla': 'US-AK',
+  'America/Adak': 'US-AK',
+  'America/Boise': 'US-ID',
+  'America/Detroit': 'US-MI',
+  'America/Menominee': 'US-MI',
+  // Canada
+  'America/Vancouver': 'CA-BC',
+  'America/Dawson_Creek': 'CA-BC',
+  'America/Fort_Nelson': 'CA-BC',
+  'America/Creston': 'CA-BC',
+  'America/Edmonton': 'CA-AB',
+  'America/Regina': 'CA-SK',
+  'America/Swift_Current': 'CA-SK',
+  'America/Moncton': 'CA-NB',
+  'America/Glace_Bay': 'CA-NS',
+  'America/St_Johns': 'CA-NL',
+  'America/Goose_Bay': 'CA-NL',
+  'America/Whitehorse': 'CA-YT',
+  'America/Dawson': 'CA-YT',
+  'America/Yellowknife': 'CA-NT',
+  'America/Inuvik': 'CA-NT',
+  'America/Iqaluit': 'CA-NU',
+  'America/Rankin_Inlet': 'CA-NU',
+  'America/Cambridge_Bay': 'CA-NU',
+  // Spain
+  'Atlantic/Canary': 'ES-CN',
+};
+
+// Zone families that map to one subdivision as a whole
+const SUBDIVISION_BY_ZONE_PREFIX = {
+  'America/Indiana/': 'US-IN',
+  'America/Kentucky/': 'US-KY',
+  'America/North_Dakota/': 'US-ND',
+};
+
+// Resolve a participant's subdivision from their country and IANA zone.
+// Returns null when the zone does not pin down a single subdivision.
+export function resolveSubdivision(iso2, timezone) {
+  if (!iso2 || !timezone) return null;
+  let code = SUBDIVISION_BY_TIMEZONE[timezone] || null;
+  if (!code) {
+    const prefix = Object.keys(SUBDIVISION_BY_ZONE_PREFIX).find(pre => timezone.startsWith(pre));
+    code = prefix ? SUBDIVISION_BY_ZONE_PREFIX[prefix] : null;
+  }
+  return code && code.startsWith(`${iso2.toUpperCase()}-`) ? code : null;
+}
@@ -0,0 +1,53 @@
+import {
+  getParticipantTimezone,
+  getLocalMinuteOfDay,
+  getCommonAwakeSlots,
+  getSlotInstant,
+  isAvailableThroughout,
+} from './availability';
+import { isRequired } from './participants';
+
+// Local hours considered comfortable for everyone; anything outside costs
+// one point per hour of distance (07:00 costs 2, 20:30 costs 3.5)
+export const CORE_HOURS = { start: 9, end: 17 };
+// Extra cost when a slot lands on a participant's local public holiday
+export const HOLIDAY_PENALTY = 5;
+// Extra cost for each optional participant who cannot make the slot
+export const MISSING_OPTIONAL_PENALTY = 2;
+
+// Inconvenience of a local time of day for one participant
+export function getInconvenience(minuteOfDay) {
+  const hour = minuteOfDay / 60;
+  if (hour < CORE_HOURS.start) return CORE_HOURS.start - hour;
+  if (hour > CORE_HOURS.end) return hour - CORE_HOURS.end;
+  return 0;
+}
+
+// Score every common slot across the given dates and return the best ones
+// (lowest score first). isHoliday(participant, 'YYYY-MM-DD') reports whether a
+// local date is a holiday for that participant.
+export function suggestSlots({ dates, tz, participants, defaults, step, durationMinutes, isHoliday, limit = 5 }) {
+  const candidates = [];
+  dates.forEach(date => {
+    getCommonAwakeSlots(date, tz, participants, defaults, step, durationMinutes).forEach(slot => {
+      const instant = getSlotInstant(date, slot, tz);
+      let score = 0;
+      const locals = participants.map(p => {
+        const zone = getParticipantTimezone(p);
+        const local = instant.clone().tz(zone);
+        const holiday = isHoliday(p, local.format('YYYY-MM-DD'));
+        // Required participants are always available here; optional ones may not be
+        const available = isRequired(p) || isAvailableThroughout(instant, durationMinutes, p, defaults);
+        if (available) {
+          score += getInconvenience(getLocalMinuteOfDay(instant, zone)) + (holiday ? HOLIDAY_PENALTY : 0);
+        } else {
+          score += MISSING_OPTIONAL_PENALTY;
+        }
+        return { participant: p, local, holiday, available };
+      });
+      candidates.push({ date, slot, instant, score, locals });
+    });
+  });
+  candidates.sort((a, b) => a.score - b.score || a.instant.valueOf() - b.instant.valueOf());
+  return candidates.slice(0, limit);
+}
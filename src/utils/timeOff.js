@@ -0,0 +1,62 @@
+import moment from 'moment-timezone';
+
+// A blocked period: { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', label }, both
+// days inclusive. Participants carry their own in timeOff (vacations, bridge
+// days); organisation holidays (company shutdowns) apply to everyone.
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+export function isValidBlock(block) {
+  return Boolean(block)
+    && moment(block.start, DATE_FORMAT, true).isValid()
+    && moment(block.end, DATE_FORMAT, true).isValid()
+    && block.start <= block.end;
+}
+
+// ISO dates compare correctly as strings
+export function blockCovers(block, dstr) {
+  return block.start <= dstr && dstr <= block.end;
+}
+
+// The block that keeps a participant off on a local date, or null
+export function getTimeOff(participant, dstr, orgHolidays = []) {
+  return (participant.timeOff || []).find(b => blockCovers(b, dstr))
+    || orgHolidays.find(b => blockCovers(b, dstr))
+    || null;
+}
+
+export function formatBlock(block) {
+  return block.start === block.end ? block.start : `${block.start} – ${block.end}`;
+}
+
+// Compact form for plan links: 20250701-20250714~Vacation, joined with ';'
+// (labels are URI-encoded so they may contain the separators)
+export function encodeBlocks(blocks) {
+  return (blocks || []).map(b => {
+    const range = b.start === b.end ? compact(b.start) : `${compact(b.start)}-${compact(b.end)}`;
+    return b.label ? `${range}~${encodeURIComponent(b.label)}` : range;
+  }).join(';');
+}
+
+// Invalid entries (including labels with broken percent-encoding) are dropped
+export function decodeBlocks(value) {
+  return (value || '').split(';').map(entry => {
+    const [range, label] = entry.split('~');
+    const [start, end] = (range || '').split('-').map(expand);
+    let block;
+    try {
+      block = { start, end: end || start, label: label ? decodeURIComponent(label) : '' };
+    } catch {
+      return null;
+    }
+    return isValidBlock(block) ? block : null;
+  }).filter(Boolean);
+}
+
+function compact(dstr) {
+  return dstr.replace(/-/g, '');
+}
+
+function expand(value) {
+  return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}` : null;
+}
@@ -0,0 +1,36 @@
+import { getAvailabilityWindow, getLocalMinuteOfDay, getParticipantTimezone, getSlotInstant, isMinuteInWindow } from './availability';
+import { CORE_HOURS } from './suggestions';
+
+// Resolution of the timeline; every UTC offset in use is a multiple of it,
+// so each participant's local midnight falls exactly on a cell boundary
+export const TIMELINE_CELL_MINUTES = 15;
+
+// How a local minute of the day looks for a participant: their own hours (or
+// the core hours when they have none) are working time, the default awake
+// range is awake time, and everything else is night
+export function getHourKind(minuteOfDay, participant, defaults) {
+  const working = participant.availability ? getAvailabilityWindow(participant, defaults) : CORE_HOURS;
+  if (isMinuteInWindow(minuteOfDay, working)) return 'working';
+  if (isMinuteInWindow(minuteOfDay, defaults)) return 'awake';
+  return 'night';
+}
+
+// One participant's row for a day in tz: a cell per TIMELINE_CELL_MINUTES of
+// tz's day with the participant's local time, its kind, and whether their
+// local date changes at the start of the cell
+export function getTimelineRow(date, tz, participant, defaults) {
+  const ptz = getParticipantTimezone(participant);
+  const cells = [];
+  for (let m = 0; m < 24 * 60; m += TIMELINE_CELL_MINUTES) {
+    const local = getSlotInstant(date, m, tz).tz(ptz);
+    const previous = cells[cells.length - 1];
+    cells.push({
+      m,
+      local,
+      kind: getHourKind(getLocalMinuteOfDay(local, ptz), participant, defaults),
+      // Compared by date rather than by 00:00, which DST can skip
+      dateChange: Boolean(previous) && !previous.local.isSame(local, 'day'),
+    });
+  }
+  return cells;
+}
@@ -0,0 +1,54 @@
+// Weekend days per country, keyed by ISO 3166-1 alpha-2 code.
+// Day numbers follow Date#getDay(): 0 = Sunday ... 6 = Saturday.
+export const DEFAULT_WEEKEND = [6, 0];
+
+const FRIDAY_SATURDAY = [5, 6];
+
+export const WEEKENDS_BY_COUNTRY = {
+  // Friday-Saturday
+  BD: FRIDAY_SATURDAY,
+  BH: FRIDAY_SATURDAY,
+  DZ: FRIDAY_SATURDAY,
+  EG: FRIDAY_SATURDAY,
+  IL: FRIDAY_SATURDAY,
+  IQ: FRIDAY_SATURDAY,
+  JO: FRIDAY_SATURDAY,
+  KW: FRIDAY_SATURDAY,
+  LY: FRIDAY_SATURDAY,
+  MV: FRIDAY_SATURDAY,
+  OM: FRIDAY_SATURDAY,
+  PS: FRIDAY_SATURDAY,
+  QA: FRIDAY_SATURDAY,
+  SA: FRIDAY_SATURDAY,
+  SD: FRIDAY_SATURDAY,
+  SY: FRIDAY_SATURDAY,
+  YE: FRIDAY_SATURDAY,
+  // Thursday-Friday
+  AF: [4, 5],
+  // Friday only
+  DJ: [5],
+  IR: [5],
+  // Saturday only
+  NP: [6],
+  // Friday and Sunday
+  BN: [5, 0],
+  // The UAE moved its federal weekend to Saturday-Sunday in 2022; participants
+  // whose employer still keeps Friday-Saturday can override it
+  AE: [6, 0],
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export function getCountryWeekend(iso2) {
+  return WEEKENDS_BY_COUNTRY[(iso2 || '').toUpperCase()] || DEFAULT_WEEKEND;
+}
+
+// A participant's weekend: their own override, else their country's
+export function getParticipantWeekend(participant) {
+  return participant.weekendDays || getCountryWeekend(participant.iso2);
+}
+
+// weekday is the participant's local day of the week (0 = Sunday)
+export function isWeekendFor(participant, weekday) {
+  return getParticipantWeekend(participant).includes(weekday);
+}
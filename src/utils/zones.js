@@ -0,0 +1,75 @@
+import ct from 'countries-and-timezones';
+import moment from 'moment-timezone';
+
+// Every current IANA zone known to both countries-and-timezones and
+// moment-timezone (deprecated aliases such as US/Eastern are left out)
+export const ZONE_NAMES = Object.keys(ct.getAllTimezones())
+  .filter(name => moment.tz.zone(name))
+  .sort();
+
+// The browser's own zone, or UTC when it is unknown to moment-timezone
+export function getBrowserTimezone() {
+  try {
+    const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return tz && moment.tz.zone(tz) ? tz : 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+// 'UTC+05:30' for an offset in minutes
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? '−' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Offset in minutes from "+5:30", "utc-3", "GMT+0545" or "-8", or null
+export function parseOffset(query) {
+  const match = /^(?:utc|gmt)?\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i.exec(query.trim());
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  if (minutes > 14 * 60) return null;
+  return match[1] === '+' ? minutes : -minutes;
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/_/g, ' ').trim();
+}
+
+// A zone's current offset and abbreviation, plus its countries for searching
+export function describeZone(name, now = moment()) {
+  const local = now.clone().tz(name);
+  const abbr = local.format('z');
+  return {
+    name,
+    offset: local.utcOffset(),
+    offsetLabel: formatOffset(local.utcOffset()),
+    // Zones without a real abbreviation report a numeric one like "+0545"
+    abbr: /^[+-]/.test(abbr) ? '' : abbr,
+    countries: (ct.getTimezone(name).countries || []).map(code => (ct.getCountry(code) || {}).name || code),
+  };
+}
+
+// Search zones by name ("denver", "new york"), country ("japan"), current
+// abbreviation ("PDT") or current UTC offset ("+5:30"). Exact abbreviation
+// and offset matches come first, then name prefixes, then other matches.
+export function searchZones(query, limit = 10, now = moment()) {
+  const q = normalize(query || '');
+  if (!q) return [];
+  const offset = parseOffset(q);
+  const exact = [];
+  const prefix = [];
+  const inner = [];
+  ZONE_NAMES.forEach(name => {
+    const zone = describeZone(name, now);
+    const city = normalize(name.split('/').pop());
+    if ((offset !== null && zone.offset === offset) || zone.abbr.toLowerCase() === q) exact.push(zone);
+    else if (offset !== null) return;
+    else if (city.startsWith(q) || normalize(name).startsWith(q)) prefix.push(zone);
+    else if (normalize(name).includes(q) || zone.countries.some(c => normalize(c).startsWith(q))) inner.push(zone);
+  });
+  // For an offset, the fixed-offset Etc/GMT zone is the literal answer
+  exact.sort((a, b) => Number(b.name.startsWith('Etc/')) - Number(a.name.startsWith('Etc/')));
+  return exact.concat(prefix, inner).slice(0, limit);
+}